@@ -28,7 +28,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // async response
   } else if (message.type === 'captureMore') {
     // V2: Handle dynamic expansion requests from report page
-    captureMoreScreenshots(message.urls, message.parentPath, message.options, sender.tab?.id);
+    captureMoreScreenshots(message.urls, message.parentPath, message.options, sender.tab?.id, message.limit);
   }
   // No async response needed, return false/undefined
 });
@@ -46,35 +46,142 @@ async function startAnalysis(options) {
     targetUrl: options.url
   };
 
+  // robots.txt is fetched once per origin and gates every page visit of this run
+  const robots = createRobotsGate(!options.ignoreRobots);
+
   try {
+    // Include/exclude rules from the popup; throws on an invalid regex
+    const urlFilter = createUrlFilter(options.filters);
+
+    // Sitemaps are discovered at the origin; the scope prefix (default "/") limits
+    // which URLs are kept, where the crawler starts and what the tree root is
+    const scopeUrl = resolveScopeUrl(options.url, options.scopePrefix);
+
+    // Tracking parameters, path case and trailing slashes (popup settings);
+    // SPA crawling keeps hash routes as separate pages
+    const spa = options.crawl?.spa || 'off';
+    const canonicalizer = createCanonicalizer({ ...options.canonicalization, hashRoutes: spa !== 'off' });
+
+    // Crawl budget, depth and host scope are separate from the screenshot budget.
+    // Coverage analysis always follows links too (the popup warns about small budgets)
+    const coverageMode = options.mode === 'coverage';
+    const crawlOptions = {
+      maxPages: options.crawl?.maxPages || DEFAULT_CRAWL_PAGES,
+      maxDepth: options.crawl?.maxDepth ?? DEFAULT_CRAWL_DEPTH,
+      loadTimeout: options.loadTimeout,
+      robots,
+      urlFilter,
+      canonicalizer,
+      hostScope: createHostScope(options.crawl?.hostScope, options.url),
+      spa
+    };
+
     // Step 1: Fetch sitemap or crawl
     let urls = [];
+    let entries = [];
     let usedCrawler = false;
+    let discovery = { method: 'crawler', sitemaps: [], failures: [] };
+    let issues = [];
+    let crawl = null;
+    let linkGraph = null;
+    let coverage = null;
 
-    sendProgress(0, 0, 'Fetching sitemap...');
     try {
-      urls = await fetchSitemap(options.url);
+      const sitemapResult = await fetchSitemap(options.url, robots);
+      entries = mergeCanonicalEntries(sitemapResult.entries, canonicalizer).filter(entry => {
+        if (!isInScope(entry.loc, scopeUrl)) return false;
+        if (urlFilter.test(entry.loc)) return true;
+        urlFilter.record(entry.loc);
+        return false;
+      });
+      urls = entries.map(entry => entry.loc);
+      discovery = {
+        method: sitemapResult.method,
+        sitemaps: sitemapResult.sitemaps,
+        failures: sitemapResult.failures
+      };
+      issues = sitemapResult.issues;
     } catch (sitemapError) {
       // Fallback: crawl from homepage
       console.log('No sitemap found, falling back to crawler:', sitemapError.message);
       sendProgress(0, 0, 'No sitemap found, crawling pages...');
       usedCrawler = true;
-      urls = await crawlFromHomepage(options.url, options.maxPages, options.loadTimeout);
+      crawl = await crawlFromHomepage(scopeUrl, crawlOptions);
+      urls = crawl.urls;
+    }
+
+    if (coverageMode && !crawl && !shouldCancel) {
+      sendProgress(0, 0, 'Crawling links for coverage analysis...');
+      crawl = await crawlFromHomepage(scopeUrl, crawlOptions);
+    }
+
+    if (crawl) {
+      linkGraph = buildLinkGraph(crawl.startUrl, crawl.urls, crawl.edges);
+    }
+
+    // Diff sitemap URLs against linked pages; linked pages missing from the sitemap join the tree
+    if (coverageMode) {
+      coverage = compareCoverage(entries.map(entry => entry.loc), crawl, crawlOptions.maxPages, scopeUrl, urlFilter, canonicalizer);
+      const known = new Set(urls.map(canonicalizer.key));
+      urls = urls.concat(coverage.notInSitemap.filter(url => !known.has(canonicalizer.key(url))));
+    }
+
+    if (urls.length === 0 && usedCrawler && !(await robots.isAllowed(scopeUrl))) {
+      throw new Error('robots.txt disallows crawling this site. Enable "Ignore robots.txt" in settings for sites you own.');
+    }
+
+    if (urls.length === 0 && urlFilter.active && urlFilter.excluded.size > 0) {
+      throw new Error(`All ${urlFilter.excluded.size} URLs found were excluded by the URL filters.`);
     }
 
     if (urls.length === 0) {
       throw new Error(usedCrawler
         ? 'No pages found while crawling. The website may block automated access.'
-        : 'No URLs found in sitemap.');
+        : scopeUrl === options.url ? 'No URLs found in sitemap.' : `No sitemap URLs found under ${scopeUrl}.`);
     }
 
     // Step 2: Build URL tree
     sendProgress(0, 0, 'Building URL tree...');
-    const tree = buildUrlTree(urls, options.url);
+    const tree = buildUrlTree(urls, scopeUrl, canonicalizer);
+    const entryByUrl = new Map(entries.map(entry => [entry.loc, entry]));
+    attachEntriesToTree(tree, entryByUrl);
+    attachAliasesToTree(tree, collectAliases(entries, crawl));
+    if (coverage) {
+      markCoverageInTree(tree, coverageStatusByUrl(coverage));
+    }
 
-    // Step 3: Select representative URLs (breadth-first + branch coverage)
-    const selectedUrls = selectRepresentativeUrls(urls, options.maxPages, options.url);
-    const screenshots = await captureScreenshots(selectedUrls, options);
+    // Disallowed pages stay in the tree but are never visited
+    const blockedUrls = await findRobotsBlockedUrls(urls, robots);
+    const blockedSet = new Set(blockedUrls);
+    markRobotsBlockedInTree(tree, blockedSet);
+
+    // Step 3: Select representative URLs (breadth-first + branch coverage),
+    // or check every URL without screenshots in health check mode
+    const allowedUrls = urls.filter(url => !blockedSet.has(url));
+    const accept = url => urlFilter.test(url) && !blockedSet.has(url);
+    let screenshots;
+    let templates = null;
+    if (options.mode === 'health') {
+      screenshots = await checkUrlsHealth(allowedUrls, options.loadTimeout, robots);
+    } else {
+      if (options.selection === 'template') sendProgress(0, 0, 'Sampling page templates...');
+      const pages = allowedUrls.map(url => {
+        const entry = entryByUrl.get(url);
+        return { url, priority: entry?.priority, lastmod: entry?.lastmod };
+      });
+      const selection = await selectPages(options.selection, pages, options.maxPages, {
+        baseUrl: scopeUrl,
+        accept,
+        loadTimeout: options.loadTimeout,
+        robots,
+        urlList: options.selectionUrls
+      });
+      if (selection.templates) {
+        templates = selection.templates;
+        attachTemplatesToTree(tree, templates.byUrl);
+      }
+      screenshots = await captureScreenshots(selection.urls, options, robots);
+    }
 
     if (shouldCancel) {
       throw new Error('Analysis cancelled');
@@ -86,27 +193,70 @@ async function startAnalysis(options) {
 
     // Build screenshot data for storage
     const screenshotMapObj = {};
+    const fullScreenshotMap = {};
     const capturedUrlSet = [];
-    screenshots.forEach(({ url, screenshot }) => {
+    const httpMap = {};
+    screenshots.forEach(({ url, screenshot, fullScreenshot, http }) => {
       if (screenshot) {
         screenshotMapObj[url] = screenshot;
         capturedUrlSet.push(url);
       }
+      if (fullScreenshot) {
+        fullScreenshotMap[url] = fullScreenshot;
+      }
+      if (http) {
+        httpMap[url] = http;
+      }
     });
+    attachHttpToTree(tree, httpMap);
+
+    // The window fallback can't capture beyond the viewport
+    const fullPageUnavailable = screenshots.some(s => s.fullPageUnavailable);
 
     // Send complete with extra fields for dynamic expansion
     sendComplete({
       tree,
-      baseUrl: options.url,
+      baseUrl: scopeUrl,
+      scope: new URL(scopeUrl).pathname,
       totalUrls: urls.length,
       capturedUrls: capturedUrlSet.length,
       timestamp: new Date().toISOString(),
+      discovery,
+      issues,
+      linkGraph,
+      coverage,
+      templates: templates && { sampled: templates.sampled, clusters: templates.clusters },
+      robots: {
+        ignored: !robots.respect,
+        blockedUrls
+      },
+      filters: {
+        include: urlFilter.include,
+        exclude: urlFilter.exclude,
+        excludedCount: urlFilter.excluded.size,
+        excludedUrls: [...urlFilter.excluded].slice(0, FILTER_EXCLUDED_EXAMPLES)
+      },
       // V2: Additional fields for dynamic expansion
       capturedUrlSet,
       screenshotMap: screenshotMapObj,
+      fullScreenshotMap,
+      httpMap,
       options: {
         loadTimeout: options.loadTimeout,
-        captureDelay: options.captureDelay
+        captureDelay: options.captureDelay,
+        fullPage: !!options.fullPage && !fullPageUnavailable,
+        fullPageUnavailable,
+        mode: options.mode || 'standard',
+        selection: SELECTION_STRATEGIES[options.selection] ? options.selection : 'breadth-first',
+        selectionUrls: options.selection === 'list' ? options.selectionUrls || [] : [],
+        canonicalization: canonicalizer.config,
+        crawl: {
+          maxPages: crawlOptions.maxPages,
+          maxDepth: crawlOptions.maxDepth,
+          hostScope: { mode: crawlOptions.hostScope.mode, hosts: crawlOptions.hostScope.hosts },
+          spa
+        },
+        ignoreRobots: !robots.respect
       }
     });
 
@@ -118,86 +268,1392 @@ async function startAnalysis(options) {
   }
 }
 
-// Fetch and parse sitemap
-async function fetchSitemap(baseUrl) {
-  const sitemapUrl = new URL('/sitemap.xml', baseUrl).href;
+// Fetch and parse sitemap(s)
+// Returns { entries, method, sitemaps, failures, issues } where entries are the parsed
+// <url> records (see parseSitemap) without duplicates, method is how the sitemaps were
+// found, sitemaps lists every file read (see createSitemapDiscovery), failures lists sitemaps that
+// could not be fetched or decoded and issues are the findings of validateSitemaps
+async function fetchSitemap(baseUrl, robots) {
+  // Prefer sitemaps declared in robots.txt (may be several, possibly on other hosts)
+  sendProgress(0, 0, 'Checking robots.txt...');
+  const { text, url: robotsUrl } = await robots.load(baseUrl);
+  const declared = extractRobotsSitemaps(text, robotsUrl);
+
+  if (declared.length > 0) {
+    const discovery = createSitemapDiscovery();
+    const entries = await traverseSitemaps(declared, discovery);
+    if (entries.length > 0) {
+      return finishSitemapDiscovery('robots.txt', discovery, entries, baseUrl);
+    }
+  }
+
+  sendProgress(0, 0, 'Fetching sitemap...');
+
+  // Standard location first, then common alternative paths (including the plain-text format)
+  const candidates = ['/sitemap.xml', '/sitemap_index.xml', '/sitemap-index.xml', '/sitemaps.xml', '/sitemap.txt'];
+
+  for (const path of candidates) {
+    if (shouldCancel) break;
+
+    const discovery = createSitemapDiscovery();
+    const entries = await traverseSitemaps([new URL(path, baseUrl).href], discovery);
+    if (discovery.sitemaps.length > 0) {
+      return finishSitemapDiscovery('sitemap.xml', discovery, entries, baseUrl);
+    }
+  }
+
+  throw new Error('Could not find sitemap.xml at common locations');
+}
+
+// Validate the raw entries, then drop duplicate URLs (first occurrence wins)
+function finishSitemapDiscovery(method, discovery, entries, baseUrl) {
+  const issues = validateSitemaps(entries, discovery, baseUrl);
+
+  const seen = new Set();
+  const uniqueEntries = entries.filter(entry => {
+    if (seen.has(entry.loc)) return false;
+    seen.add(entry.loc);
+    return true;
+  });
+
+  return {
+    entries: uniqueEntries,
+    method,
+    sitemaps: discovery.sitemaps,
+    failures: discovery.failures,
+    issues
+  };
+}
+
+// Sitemap directives are independent of user-agent groups and may appear anywhere
+function extractRobotsSitemaps(text, robotsUrl) {
+  const sitemaps = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^sitemap\s*:\s*(\S+)/i);
+    if (!match) continue;
+
+    try {
+      const sitemapUrl = new URL(match[1], robotsUrl).href;
+      if (!sitemaps.includes(sitemapUrl)) {
+        sitemaps.push(sitemapUrl);
+      }
+    } catch (e) {
+      console.warn('Ignoring invalid Sitemap directive:', match[1]);
+    }
+  }
+
+  return sitemaps;
+}
+
+// Absolute URL of the scope root; the prefix always ends with "/"
+function resolveScopeUrl(siteUrl, scopePrefix) {
+  if (!scopePrefix || scopePrefix === '/') return siteUrl;
+
+  let prefix = scopePrefix.startsWith('/') ? scopePrefix : '/' + scopePrefix;
+  if (!prefix.endsWith('/')) prefix += '/';
+  return new URL(prefix, siteUrl).href;
+}
+
+// Same origin and under the scope's path prefix (the prefix without its trailing
+// slash counts too). An origin-wide scope keeps every URL, as before scoping existed.
+function isInScope(url, scopeUrl) {
+  const scope = new URL(scopeUrl);
+  if (scope.pathname === '/') return true;
+
+  try {
+    const parsed = new URL(url);
+    return parsed.origin === scope.origin &&
+      (parsed.pathname.startsWith(scope.pathname) || parsed.pathname + '/' === scope.pathname);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Excluded URLs kept in reportData for the report header
+const FILTER_EXCLUDED_EXAMPLES = 50;
+
+// Include/exclude rules match the URL path plus query string. In globs "**" spans
+// path segments and "*" stays within one; rules starting with "/" are anchored at
+// the start of the path, others match anywhere, and a trailing "$" anchors the end.
+// Other rules match a prefix, except that a trailing "*" must reach the end of the path
+// (the query may follow), so "/blog/*" matches /blog/a but not /blog/a/b.
+// Rules prefixed with "regex:" are regular expressions instead.
+// test() only matches; callers record() the discovered URLs they drop because of
+// the rules, which the report header lists as excluded.
+function createUrlFilter(filters = {}) {
+  const include = (filters.include || []).map(rule => rule.trim()).filter(Boolean);
+  const exclude = (filters.exclude || []).map(rule => rule.trim()).filter(Boolean);
+  const includePatterns = include.map(compileUrlPattern);
+  const excludePatterns = exclude.map(compileUrlPattern);
+  const excluded = new Set();
+
+  return {
+    include,
+    exclude,
+    active: include.length > 0 || exclude.length > 0,
+    excluded,
+
+    test(url) {
+      if (includePatterns.length === 0 && excludePatterns.length === 0) return true;
+
+      let target;
+      try {
+        const parsed = new URL(url);
+        target = parsed.pathname + parsed.search;
+      } catch (e) {
+        return false;
+      }
+
+      return (includePatterns.length === 0 || includePatterns.some(re => re.test(target))) &&
+        !excludePatterns.some(re => re.test(target));
+    },
+
+    record(url) {
+      excluded.add(url);
+    }
+  };
+}
+
+function compileUrlPattern(rule) {
+  if (rule.startsWith('regex:')) {
+    try {
+      return new RegExp(rule.slice('regex:'.length).trim());
+    } catch (e) {
+      throw new Error(`Invalid URL filter "${rule}": ${e.message}`);
+    }
+  }
+
+  const anchoredEnd = rule.endsWith('$');
+  const glob = anchoredEnd ? rule.slice(0, -1) : rule;
+  const body = glob
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+
+  const trailingStar = glob.endsWith('*') && !glob.endsWith('**');
+  const end = anchoredEnd ? '$' : trailingStar ? '(?=\\?|$)' : '';
+  return new RegExp((glob.startsWith('/') ? '^' : '') + body + end);
+}
+
+// Product token matched against robots.txt User-agent lines (falls back to the "*" group)
+const ROBOTS_USER_AGENT = 'SitemapVisualizer';
+
+// Per-origin robots.txt policy for one run. load() fetches each origin's file once;
+// isAllowed() and throttle() always pass when robots.txt is ignored (popup setting).
+function createRobotsGate(respect) {
+  const files = new Map();
+  const lastVisits = new Map();
+
+  function load(url) {
+    const origin = new URL(url).origin;
+    if (!files.has(origin)) {
+      files.set(origin, fetchRobotsTxt(origin));
+    }
+    return files.get(origin);
+  }
+
+  return {
+    respect,
+    load,
+
+    async isAllowed(url) {
+      if (!respect) return true;
+      try {
+        const { policy } = await load(url);
+        return isAllowedByRobots(url, policy);
+      } catch (e) {
+        return false;
+      }
+    },
+
+    // Wait until Crawl-delay has passed since the previous visit to the same origin.
+    // The slot is reserved before waiting, so concurrent callers queue up.
+    async throttle(url) {
+      if (!respect) return;
+      const { policy } = await load(url);
+      const origin = new URL(url).origin;
+      const slot = Math.max(Date.now(), (lastVisits.get(origin) || 0) + (policy.crawlDelay || 0) * 1000);
+      lastVisits.set(origin, slot);
+      if (slot > Date.now()) await sleep(slot - Date.now());
+    }
+  };
+}
+
+// Returns { url, text, policy }. Per RFC 9309 a missing file (4xx) allows everything,
+// while server errors and unreachable hosts disallow everything.
+async function fetchRobotsTxt(origin) {
+  const url = `${origin}/robots.txt`;
+  const disallowAll = { rules: [{ allow: false, pattern: '/', regex: /^\// }], crawlDelay: null };
 
   try {
-    const response = await fetch(sitemapUrl);
+    const response = await fetch(url);
+    if (response.status >= 500) {
+      return { url, text: '', policy: disallowAll };
+    }
     if (!response.ok) {
-      throw new Error(`Failed to fetch sitemap: ${response.status}`);
+      return { url, text: '', policy: { rules: [], crawlDelay: null } };
+    }
+
+    const text = await response.text();
+    return { url, text, policy: selectRobotsPolicy(parseRobotsTxt(text), ROBOTS_USER_AGENT) };
+  } catch (e) {
+    console.warn('Failed to fetch robots.txt:', e);
+    return { url, text: '', policy: disallowAll };
+  }
+}
+
+// Split robots.txt into groups: { agents, rules: [{ allow, pattern, regex }], crawlDelay }.
+// Consecutive User-agent lines share one group; Sitemap and unknown lines don't end it.
+function parseRobotsTxt(text) {
+  const groups = [];
+  let group = null;
+  let collectingAgents = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === 'user-agent') {
+      if (!collectingAgents) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+        collectingAgents = true;
+      }
+      group.agents.push(value.toLowerCase());
+      continue;
+    }
+
+    if (!group) continue;
+
+    if (key === 'allow' || key === 'disallow') {
+      collectingAgents = false;
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) {
+        group.rules.push({ allow: key === 'allow', pattern: value, regex: robotsPatternToRegExp(value) });
+      }
+    } else if (key === 'crawl-delay') {
+      collectingAgents = false;
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) {
+        group.crawlDelay = delay;
+      }
+    }
+  }
+
+  return groups;
+}
+
+// Rules of every group naming our product token, or of the "*" groups otherwise
+function selectRobotsPolicy(groups, userAgent) {
+  const token = userAgent.toLowerCase();
+  let matched = groups.filter(group => group.agents.includes(token));
+  if (matched.length === 0) {
+    matched = groups.filter(group => group.agents.includes('*'));
+  }
+
+  const delays = matched.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    rules: matched.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+// "*" matches any run of characters and a trailing "$" anchors the end of the URL
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+// The longest matching pattern decides; Allow wins ties
+function isAllowedByRobots(url, policy) {
+  const parsed = new URL(url);
+  if (parsed.pathname === '/robots.txt') return true;
+
+  const path = parsed.pathname + parsed.search;
+  let decisive = null;
+
+  for (const rule of policy.rules) {
+    if (!rule.regex.test(path)) continue;
+    if (!decisive ||
+        rule.pattern.length > decisive.pattern.length ||
+        (rule.pattern.length === decisive.pattern.length && rule.allow)) {
+      decisive = rule;
+    }
+  }
+
+  return !decisive || decisive.allow;
+}
+
+async function findRobotsBlockedUrls(urls, robots) {
+  const blocked = [];
+  for (const url of urls) {
+    if (!(await robots.isAllowed(url))) {
+      blocked.push(url);
+    }
+  }
+  return blocked;
+}
+
+// Sitemap files fetched in parallel, and how deep sitemap indexes may nest
+// (depth 0 is a top-level file; the protocol itself only allows one level)
+const SITEMAP_FETCH_CONCURRENCY = 4;
+const SITEMAP_MAX_DEPTH = 3;
+
+// Discovery state shared by one traversal:
+//   sitemaps - every file read: { url, format, urlCount, bytes, depth, parent } where
+//              urlCount counts child sitemaps for an index and bytes is the uncompressed size
+//   failures - files that could not be fetched or decoded: { url, error }
+//   skipped  - index entries not followed: { url, parent, reason: 'cycle'|'duplicate'|'depth' }
+function createSitemapDiscovery() {
+  return { sitemaps: [], failures: [], skipped: [] };
+}
+
+// Fetch sitemap files and, breadth-first, the nested sitemaps of every index, with
+// bounded parallelism. Each file is read at most once. Entries are returned in
+// discovery order regardless of which fetch finishes first.
+async function traverseSitemaps(rootUrls, discovery) {
+  const queue = [];
+  const parents = new Map(); // sitemap URL -> URL of the index that listed it
+
+  const enqueue = (url, depth, parent) => {
+    if (parents.has(url)) {
+      discovery.skipped.push({ url, parent, reason: isSitemapAncestor(url, parent, parents) ? 'cycle' : 'duplicate' });
+    } else if (depth > SITEMAP_MAX_DEPTH) {
+      discovery.skipped.push({ url, parent, reason: 'depth' });
+    } else {
+      parents.set(url, parent);
+      queue.push({ url, depth, parent, entries: [] });
+    }
+  };
+
+  rootUrls.forEach(url => enqueue(url, 0, null));
+
+  let done = 0;
+  await runQueue(queue, SITEMAP_FETCH_CONCURRENCY, async (job) => {
+    try {
+      const { stream, contentType, stats } = await fetchSitemapStream(job.url);
+      const { format, entries, sitemaps: nestedSitemaps } = await parseSitemap(stream, { url: job.url, contentType });
+
+      job.entries = entries;
+      discovery.sitemaps.push({
+        url: job.url,
+        format,
+        urlCount: format === 'sitemapindex' ? nestedSitemaps.length : entries.length,
+        bytes: stats.bytes,
+        depth: job.depth,
+        parent: job.parent
+      });
+
+      nestedSitemaps.forEach(nestedUrl => enqueue(nestedUrl, job.depth + 1, job.url));
+    } catch (e) {
+      console.warn(`Failed to fetch sitemap ${job.url}:`, e);
+      discovery.failures.push({ url: job.url, error: e.message });
+    } finally {
+      done++;
+      sendProgress(done, queue.length, `Fetching sitemap ${done}/${queue.length}: ${job.url}`);
+    }
+  });
+
+  // Files finish in any order; keep the listing in discovery order too
+  const order = new Map(queue.map((job, index) => [job.url, index]));
+  discovery.sitemaps.sort((a, b) => order.get(a.url) - order.get(b.url));
+
+  return queue.flatMap(job => job.entries);
+}
+
+function isSitemapAncestor(url, parent, parents) {
+  for (let current = parent; current; current = parents.get(current)) {
+    if (current === url) return true;
+  }
+  return false;
+}
+
+// Run worker(item) for every item of a queue with at most `limit` in flight.
+// The worker may push more items onto the queue while it runs.
+// Stops taking new items once the analysis is cancelled.
+function runQueue(queue, limit, worker) {
+  return new Promise(resolve => {
+    let next = 0;
+    let active = 0;
+
+    const pump = () => {
+      while (!shouldCancel && active < limit && next < queue.length) {
+        const item = queue[next++];
+        active++;
+        Promise.resolve()
+          .then(() => worker(item))
+          .catch(error => console.warn('Queue worker failed:', error))
+          .finally(() => {
+            active--;
+            pump();
+          });
+      }
+
+      if (active === 0 && (next >= queue.length || shouldCancel)) {
+        resolve();
+      }
+    };
+
+    pump();
+  });
+}
+
+// Open a sitemap file as a stream of decoded text, transparently decompressing gzip.
+// Servers that send Content-Encoding: gzip are already decoded by fetch, so the
+// magic bytes decide; the .gz extension or Content-Type only tell us that the
+// body must not be treated as text if the magic bytes are missing.
+// stats.bytes counts the uncompressed size as the stream is consumed.
+async function fetchSitemapStream(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  const declaredGzip = /\.gz$/i.test(new URL(url).pathname) || /gzip/i.test(contentType);
+
+  // Peek at the first bytes for the magic number, then put them back in front of the stream
+  const reader = response.body.getReader();
+  const { head, done: headIsAll } = await readStreamHead(reader, 512);
+
+  let bytes = new ReadableStream({
+    start(controller) {
+      if (head.length > 0) controller.enqueue(head);
+      if (headIsAll) controller.close();
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+
+  if (isGzipData(head)) {
+    bytes = bytes.pipeThrough(new DecompressionStream('gzip'));
+  } else if (declaredGzip && !looksLikeText(head)) {
+    reader.cancel().catch(() => {});
+    throw new Error('Declared as gzip but content is neither gzip nor text');
+  }
+
+  const stats = { bytes: 0 };
+  bytes = bytes.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      stats.bytes += chunk.length;
+      controller.enqueue(chunk);
     }
+  }));
 
-    const xml = await response.text();
-    return parseSitemap(xml, baseUrl);
+  return { stream: bytes.pipeThrough(new TextDecoderStream()), contentType, stats };
+}
+
+// Read at least minBytes from a byte stream reader (fewer if the stream ends first)
+async function readStreamHead(reader, minBytes) {
+  const chunks = [];
+  let length = 0;
+
+  while (length < minBytes) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return { head: concatBytes(chunks, length), done: true };
+    }
+    chunks.push(value);
+    length += value.length;
+  }
+
+  return { head: concatBytes(chunks, length), done: false };
+}
+
+function concatBytes(chunks, length) {
+  if (chunks.length === 1) return chunks[0];
+
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+function isGzipData(bytes) {
+  return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+// Binary data almost always contains NUL bytes early on; text never does
+function looksLikeText(bytes) {
+  return !bytes.subarray(0, 512).includes(0);
+}
+
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+// Sitemap extensions. Media extensions hold one item per `element` directly inside
+// <url>; the item's leaf elements are copied onto it (see addMediaField) and it is
+// added to entry[list].
+// The prefix is accepted as a fallback when a sitemap forgets to declare the namespace.
+const SITEMAP_EXTENSIONS = [
+  { prefix: 'image', namespace: 'http://www.google.com/schemas/sitemap-image/1.1', element: 'image', list: 'images' },
+  { prefix: 'video', namespace: 'http://www.google.com/schemas/sitemap-video/1.1', element: 'video', list: 'videos' },
+  { prefix: 'news', namespace: 'http://www.google.com/schemas/sitemap-news/0.9', element: 'news', list: 'news' },
+  { prefix: 'mobile', namespace: 'http://www.google.com/schemas/sitemap-mobile/1.0' },
+  { prefix: 'xhtml', namespace: XHTML_NAMESPACE }
+];
+
+function getSitemapExtension(tag) {
+  if (tag.uri) {
+    return SITEMAP_EXTENSIONS.find(ext => ext.namespace === tag.uri) || null;
+  }
+  return tag.prefix ? SITEMAP_EXTENSIONS.find(ext => ext.prefix === tag.prefix) || null : null;
+}
+
+// Core sitemap elements are matched by local name in the sitemap namespace or in
+// no namespace at all, since many generators omit or misspell the xmlns declaration
+function isCoreSitemapElement(tag) {
+  return !getSitemapExtension(tag);
+}
+
+// Child elements of <url> whose text is copied onto the entry
+const SITEMAP_URL_FIELDS = ['loc', 'lastmod', 'changefreq', 'priority'];
+
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+
+// Parse a sitemap text stream. The sitemaps.org protocol allows XML sitemaps and
+// indexes, RSS 2.0 and Atom 1.0 feeds, and plain text files with one URL per line.
+// Content starting with '<' is XML and its root element decides the format;
+// anything else is text, unless the Content-Type promised XML.
+// XML is parsed with the streaming tokenizer (Service Worker has no DOMParser).
+// Returns { format, entries, sitemaps } with format one of 'urlset', 'sitemapindex',
+// 'rss', 'atom' or 'text', sitemaps the nested sitemap URLs of an index, and
+// entries: { loc, source, lastmod?, changefreq?, priority?, alternates?, images?,
+// videos?, news? } where source is the sitemap file URL, alternates are the
+// <xhtml:link rel="alternate" hreflang> links of the URL and images/videos/news the
+// items declared with the image:, video: and news: extensions.
+// source: { url, contentType } of the file
+async function parseSitemap(stream, source) {
+  const reader = stream.getReader();
+  const { chunks, firstChar } = await readUntilContent(reader);
+
+  if (firstChar === null) {
+    throw new Error('Could not decode sitemap (empty document)');
+  }
+
+  const entries = [];
+  const nestedSitemaps = [];
+  let format;
+
+  if (firstChar === '<') {
+    let collector = null;
+
+    const tokenizer = createXmlTokenizer({
+      onOpenTag(tag) {
+        if (!collector) {
+          format = detectXmlSitemapFormat(tag);
+          collector = format === 'rss' || format === 'atom'
+            ? createFeedCollector(format, entries, source.url)
+            : createSitemapCollector(entries, nestedSitemaps);
+        }
+        collector.onOpenTag(tag);
+      },
+      onText(text) {
+        if (collector) {
+          collector.onText(text);
+        } else if (text.trim()) {
+          throw new Error('Could not decode sitemap (not an XML document)');
+        }
+      },
+      onCloseTag(tag) {
+        collector.onCloseTag(tag);
+      }
+    });
+
+    await feedChunks(reader, chunks, tokenizer);
+
+    if (!collector) {
+      throw new Error('Could not decode sitemap (no root element)');
+    }
+  } else if (/xml/i.test(source.contentType || '')) {
+    reader.cancel().catch(() => {});
+    throw new Error('Could not decode sitemap (not an XML document)');
+  } else {
+    format = 'text';
+    await feedChunks(reader, chunks, createLineSplitter(line => {
+      const entry = parseTextSitemapLine(line);
+      if (entry) entries.push(entry);
+    }));
+
+    if (entries.length === 0) {
+      throw new Error('Not a sitemap (no URLs in text file)');
+    }
+  }
+
+  entries.forEach(entry => {
+    entry.source = source.url;
+  });
+
+  return { format, entries, sitemaps: nestedSitemaps };
+}
+
+// Read text chunks until the first non-whitespace character shows up
+// (TextDecoderStream already strips a byte order mark)
+async function readUntilContent(reader) {
+  const chunks = [];
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return { chunks, firstChar: null };
+
+    chunks.push(value);
+    const match = value.match(/\S/);
+    if (match) return { chunks, firstChar: match[0] };
+  }
+}
+
+function detectXmlSitemapFormat(root) {
+  if (root.local === 'urlset' || root.local === 'sitemapindex') return root.local;
+  if (root.local === 'rss' && !root.uri) return 'rss';
+  if (root.local === 'feed' && root.uri === ATOM_NAMESPACE) return 'atom';
+  throw new Error(`Not a sitemap (root element <${root.name}>)`);
+}
+
+// Tokenizer handler for <urlset> and <sitemapindex> documents.
+// Fills entries with <url> records and nestedSitemaps with <sitemap> locations.
+function createSitemapCollector(entries, nestedSitemaps) {
+  const openElements = [];
+  let entry = null;       // <url> or <sitemap> being parsed
+  let media = null;       // { list, item, depth, open } for an extension item inside <url>;
+                          // open is the stack of its elements being parsed: { name, text, group }
+  let field = null;       // { name } of the <url> field whose text is being collected
+  let fieldText = '';
+
+  return {
+    onOpenTag(tag) {
+      const parent = openElements[openElements.length - 1];
+      openElements.push(tag);
+      if (!parent) return;
+
+      if (openElements.length === 2) {
+        if (isCoreSitemapElement(tag) && (tag.local === 'url' || tag.local === 'sitemap')) {
+          entry = { type: tag.local, loc: '' };
+        }
+        return;
+      }
+      if (!entry) return;
+
+      // Direct children of <url>/<sitemap>
+      if (openElements.length === 3) {
+        const extension = getSitemapExtension(tag);
+        if (!extension && SITEMAP_URL_FIELDS.includes(tag.local)) {
+          field = { name: tag.local };
+          fieldText = '';
+        } else if (extension && isAlternateLink(tag)) {
+          entry.alternates = entry.alternates || [];
+          entry.alternates.push({ hreflang: tag.attributes.hreflang, href: tag.attributes.href });
+        } else if (extension && extension.list && tag.local === extension.element) {
+          media = { list: extension.list, item: {}, depth: openElements.length, open: [] };
+        }
+        return;
+      }
+
+      // Elements of a media item; one with child elements (like <news:publication>) becomes a group
+      if (media) {
+        const group = media.open[media.open.length - 1];
+        if (group && !group.group) group.group = {};
+        media.open.push({ name: snakeToCamel(tag.local), text: '', group: null });
+      }
+    },
+    onText(text) {
+      if (field) fieldText += text;
+      if (media && media.open.length > 0) media.open[media.open.length - 1].text += text;
+    },
+    onCloseTag() {
+      const depth = openElements.length;
+      openElements.pop();
+
+      if (field) {
+        setEntryField(entry, field.name, fieldText.trim());
+        field = null;
+      } else if (media && depth > media.depth) {
+        const element = media.open.pop();
+        const parent = media.open[media.open.length - 1];
+        addMediaField(parent ? parent.group : media.item, element.name, element.group || element.text.trim());
+      } else if (media && depth === media.depth) {
+        if (Object.keys(media.item).length > 0) {
+          entry[media.list] = entry[media.list] || [];
+          entry[media.list].push(media.item);
+        }
+        media = null;
+      } else if (entry && depth === 2) {
+        const { type, ...fields } = entry;
+        entry = null;
+        if (!fields.loc) return;
+
+        if (type === 'sitemap') {
+          nestedSitemaps.push(fields.loc);
+        } else {
+          entries.push(fields);
+        }
+      }
+    }
+  };
+}
+
+// Tokenizer handler for RSS 2.0 (<item><link>, <pubDate>) and Atom 1.0
+// (<entry><link rel="alternate" href>, <updated>) feeds. Relative links are
+// resolved against the feed URL and dates are normalized to ISO 8601.
+function createFeedCollector(format, entries, feedUrl) {
+  const itemElement = format === 'rss' ? 'item' : 'entry';
+  const dateElements = format === 'rss' ? ['pubDate'] : ['updated', 'published'];
+  const openElements = [];
+  let item = null;
+  let field = null;
+  let fieldText = '';
+
+  // RSS elements are in no namespace, Atom elements in the Atom namespace
+  const isFeedElement = (tag) => format === 'rss' ? !tag.uri : tag.uri === ATOM_NAMESPACE;
+
+  return {
+    onOpenTag(tag) {
+      const parent = openElements[openElements.length - 1];
+      openElements.push(tag);
+      if (!isFeedElement(tag)) return;
+
+      if (tag.local === itemElement) {
+        item = {};
+        return;
+      }
+      if (!item || parent?.local !== itemElement) return;
+
+      if (format === 'atom' && tag.local === 'link') {
+        const rel = tag.attributes.rel || 'alternate';
+        if (rel === 'alternate' && tag.attributes.href && !item.link) {
+          item.link = tag.attributes.href;
+        }
+      } else if (tag.local === 'link' || dateElements.includes(tag.local) ||
+                 (tag.local === 'guid' && tag.attributes.isPermaLink !== 'false')) {
+        field = tag.local;
+        fieldText = '';
+      }
+    },
+    onText(text) {
+      if (field) fieldText += text;
+    },
+    onCloseTag(tag) {
+      openElements.pop();
+
+      if (field) {
+        if (item[field] === undefined) item[field] = fieldText.trim();
+        field = null;
+      } else if (item && tag.local === itemElement && isFeedElement(tag)) {
+        const loc = resolveFeedLink(item.link || item.guid, feedUrl);
+        if (loc) {
+          const entry = { loc };
+          const date = dateElements.map(name => item[name]).find(Boolean);
+          if (date) entry.lastmod = toIsoDate(date);
+          entries.push(entry);
+        }
+        item = null;
+      }
+    }
+  };
+}
+
+function resolveFeedLink(link, feedUrl) {
+  if (!link) return null;
+  try {
+    const url = new URL(link, feedUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// RSS uses RFC 822 dates; lastmod elsewhere is ISO 8601
+function toIsoDate(value) {
+  const time = Date.parse(value);
+  return isNaN(time) ? value : new Date(time).toISOString();
+}
+
+// Text sitemaps: one absolute URL per line, anything else is ignored
+function parseTextSitemapLine(line) {
+  const value = line.trim();
+  if (!/^https?:\/\//i.test(value)) return null;
+
+  try {
+    return { loc: new URL(value).href };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Sink for feedChunks that calls onLine for every line of the text
+function createLineSplitter(onLine) {
+  let pending = '';
+
+  return {
+    write(chunk) {
+      const lines = (pending + chunk).split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(onLine);
+    },
+    close() {
+      if (pending) onLine(pending);
+      pending = '';
+    }
+  };
+}
+
+function setEntryField(entry, field, value) {
+  if (!value) return;
+
+  if (field === 'priority') {
+    const priority = parseFloat(value);
+    if (Number.isFinite(priority)) entry.priority = priority;
+  } else if (field === 'changefreq') {
+    entry.changefreq = value.toLowerCase();
+  } else {
+    entry[field] = value;
+  }
+}
+
+// <xhtml:link rel="alternate" hreflang="de" href="..."/>
+function isAlternateLink(tag) {
+  return tag.local === 'link' &&
+    getSitemapExtension(tag)?.prefix === 'xhtml' &&
+    tag.attributes.rel === 'alternate' &&
+    !!tag.attributes.hreflang && !!tag.attributes.href;
+}
+
+// thumbnail_loc -> thumbnailLoc
+// Repeated elements (several <video:tag>) collect into an array; empty ones are skipped
+function addMediaField(target, name, value) {
+  if (!value || (typeof value === 'object' && Object.keys(value).length === 0)) return;
+  if (!(name in target)) {
+    target[name] = value;
+  } else if (Array.isArray(target[name])) {
+    target[name].push(value);
+  } else {
+    target[name] = [target[name], value];
+  }
+}
+
+function snakeToCamel(name) {
+  return name.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+// Pump text chunks into a sink ({ write, close }), starting with chunks already read
+async function feedChunks(reader, initialChunks, sink) {
+  try {
+    initialChunks.forEach(chunk => sink.write(chunk));
+
+    while (true) {
+      if (shouldCancel) {
+        await reader.cancel();
+        return;
+      }
+
+      const { done, value } = await reader.read();
+      if (done) break;
+      sink.write(value);
+    }
+    sink.close();
   } catch (error) {
-    // Try common alternative paths
-    const alternatives = ['/sitemap_index.xml', '/sitemap-index.xml', '/sitemaps.xml'];
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+}
 
-    for (const alt of alternatives) {
-      try {
-        const altUrl = new URL(alt, baseUrl).href;
-        const response = await fetch(altUrl);
-        if (response.ok) {
-          const xml = await response.text();
-          return parseSitemap(xml, baseUrl);
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Streaming XML tokenizer (SAX-style)
+// Feed decoded text with write(chunk) and finish with close(). The handler receives:
+//   onOpenTag({ name, prefix, local, uri, attributes, selfClosing })
+//   onCloseTag({ name, prefix, local, uri })
+//   onText(text) - entity-decoded; CDATA content is passed through verbatim and
+//                  text may arrive in several pieces
+// Only the unprocessed tail of the input is buffered, so documents of any size can
+// be parsed without holding them in memory. Comments, processing instructions and
+// DOCTYPE declarations are skipped. Unbound prefixes resolve to a null namespace.
+function createXmlTokenizer(handler) {
+  const rootScope = Object.create(null);
+  rootScope.xml = XML_NAMESPACE;
+
+  const scopes = [rootScope];
+  const openTags = [];
+  let buffer = '';
+
+  function write(chunk) {
+    buffer += chunk;
+    process(false);
+  }
+
+  function close() {
+    process(true);
+    // Unclosed elements at the end of the document are closed implicitly
+    while (openTags.length > 0) {
+      closeElement();
+    }
+  }
+
+  function process(final) {
+    let pos = 0;
+
+    while (pos < buffer.length) {
+      const lt = buffer.indexOf('<', pos);
+
+      if (lt === -1) {
+        // Hold back an entity reference that may continue in the next chunk
+        let end = buffer.length;
+        if (!final) {
+          const amp = buffer.lastIndexOf('&');
+          if (amp >= pos && buffer.indexOf(';', amp) === -1) end = amp;
         }
-      } catch (e) {
-        continue;
+        emitText(buffer.slice(pos, end));
+        pos = end;
+        break;
+      }
+
+      if (lt > pos) {
+        emitText(buffer.slice(pos, lt));
+        pos = lt;
+      }
+
+      const end = findMarkupEnd(pos, final);
+      if (end === -1) break; // incomplete markup, wait for more input
+
+      handleMarkup(buffer.slice(pos, end));
+      pos = end;
+    }
+
+    buffer = buffer.slice(pos);
+
+    if (final && buffer.length > 0) {
+      throw new Error('Unexpected end of XML document');
+    }
+  }
+
+  // Returns the index just past the markup starting at `start`, or -1 if incomplete
+  function findMarkupEnd(start, final) {
+    const startsWith = (token) => buffer.startsWith(token, start);
+    const endOf = (terminator, from) => {
+      const index = buffer.indexOf(terminator, from);
+      return index === -1 ? -1 : index + terminator.length;
+    };
+
+    if (startsWith('<!--')) return endOf('-->', start + 4);
+    if (startsWith('<![CDATA[')) return endOf(']]>', start + 9);
+    if (startsWith('<?')) return endOf('?>', start + 2);
+
+    if (startsWith('<!')) {
+      // Too short to tell a comment or CDATA section from a declaration yet
+      const head = buffer.slice(start, start + 9);
+      if (!final && ('<![CDATA['.startsWith(head) || '<!--'.startsWith(head))) return -1;
+      return scanTagEnd(start, true);
+    }
+
+    return scanTagEnd(start, false);
+  }
+
+  // Find the closing '>' of a tag, skipping quoted attribute values and,
+  // for DOCTYPE declarations, the bracketed internal subset
+  function scanTagEnd(start, allowSubset) {
+    let quote = null;
+    let depth = 0;
+
+    for (let i = start + 1; i < buffer.length; i++) {
+      const ch = buffer[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (allowSubset && ch === '[') {
+        depth++;
+      } else if (allowSubset && ch === ']') {
+        depth--;
+      } else if (ch === '>' && depth <= 0) {
+        return i + 1;
       }
     }
+    return -1;
+  }
 
-    throw new Error('Could not find sitemap.xml at common locations');
+  function handleMarkup(markup) {
+    if (markup.startsWith('<![CDATA[')) {
+      const text = markup.slice(9, -3);
+      if (text) handler.onText?.(text);
+    } else if (markup.startsWith('<!') || markup.startsWith('<?')) {
+      // Comment, declaration or processing instruction
+    } else if (markup.startsWith('</')) {
+      closeTagNamed(markup.slice(2, -1).trim());
+    } else {
+      openElement(markup.slice(1, -1).trim());
+    }
   }
+
+  function openElement(source) {
+    let body = source;
+    const selfClosing = body.endsWith('/');
+    if (selfClosing) body = body.slice(0, -1);
+
+    const qname = (body.match(/^[^\s/>]+/) || [''])[0];
+    if (!qname) return;
+
+    const attributes = {};
+    const parentScope = scopes[scopes.length - 1];
+    let scope = parentScope;
+
+    if (body.length > qname.length) {
+      const attrPattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      attrPattern.lastIndex = qname.length;
+      let match;
+      while ((match = attrPattern.exec(body)) !== null) {
+        const key = match[1];
+        const value = decodeXmlEntities(match[2] ?? match[3]);
+        attributes[key] = value;
+
+        // Namespace declarations open a new scope that inherits from the parent
+        if (key === 'xmlns' || key.startsWith('xmlns:')) {
+          if (scope === parentScope) scope = Object.create(parentScope);
+          scope[key === 'xmlns' ? '' : key.slice(6)] = value || null;
+        }
+      }
+    }
+
+    const tag = resolveQName(qname, scope);
+    tag.attributes = attributes;
+    tag.selfClosing = selfClosing;
+    scopes.push(scope);
+    openTags.push(tag);
+    handler.onOpenTag?.(tag);
+
+    if (selfClosing) closeElement();
+  }
+
+  // Tolerate mismatched end tags by unwinding to the nearest matching open tag
+  function closeTagNamed(qname) {
+    let index = openTags.length - 1;
+    while (index >= 0 && openTags[index].name !== qname) index--;
+    if (index === -1) return;
+
+    while (openTags.length > index) {
+      closeElement();
+    }
+  }
+
+  function closeElement() {
+    const { name, prefix, local, uri } = openTags.pop();
+    scopes.pop();
+    handler.onCloseTag?.({ name, prefix, local, uri });
+  }
+
+  function emitText(raw) {
+    if (raw) handler.onText?.(decodeXmlEntities(raw));
+  }
+
+  return { write, close };
+}
+
+function resolveQName(qname, scope) {
+  const colon = qname.indexOf(':');
+  const prefix = colon === -1 ? '' : qname.slice(0, colon);
+  const local = colon === -1 ? qname : qname.slice(colon + 1);
+  return { name: qname, prefix, local, uri: scope[prefix] ?? null };
 }
 
-// Parse sitemap XML using regex (Service Worker has no DOMParser)
-async function parseSitemap(xml, baseUrl) {
-  // Check if it's a sitemap index (nested sitemaps)
-  // Look for <sitemap>...<loc>URL</loc>...</sitemap> pattern
-  const sitemapPattern = /<sitemap[^>]*>[\s\S]*?<loc[^>]*>([\s\S]*?)<\/loc>[\s\S]*?<\/sitemap>/gi;
-  const sitemapMatches = [...xml.matchAll(sitemapPattern)];
+function decodeXmlEntities(text) {
+  if (!text.includes('&')) return text;
 
-  if (sitemapMatches.length > 0) {
-    const allUrls = [];
-    for (const match of sitemapMatches) {
-      if (shouldCancel) break;
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[A-Za-z][A-Za-z0-9]*);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const isHex = ref[1] === 'x' || ref[1] === 'X';
+      const code = parseInt(ref.slice(isHex ? 2 : 1), isHex ? 16 : 10);
       try {
-        const nestedUrl = match[1].trim();
-        const response = await fetch(nestedUrl);
-        if (response.ok) {
-          const nestedXml = await response.text();
-          const nestedUrls = await parseSitemap(nestedXml, baseUrl);
-          allUrls.push(...nestedUrls);
-        }
+        return String.fromCodePoint(code);
       } catch (e) {
-        console.warn('Failed to fetch nested sitemap:', e);
+        return match;
       }
     }
-    return allUrls;
+    // Unknown (e.g. HTML) entities are left untouched
+    return Object.hasOwn(XML_ENTITIES, ref) ? XML_ENTITIES[ref] : match;
+  });
+}
+
+// Limits from the sitemaps.org protocol (apply to every sitemap format)
+const SITEMAP_MAX_URLS = 50000;
+const SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+const SITEMAP_MAX_LOC_LENGTH = 2048;
+
+// W3C Datetime: YYYY, YYYY-MM, YYYY-MM-DD or a date with hh:mm[:ss[.s]] and a time zone
+const W3C_DATETIME_PATTERN = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+// Number of example URLs kept per issue
+const SITEMAP_ISSUE_EXAMPLES = 20;
+
+// Check sitemap files and raw (not yet de-duplicated) entries against protocol
+// limits and common hygiene problems. Issues are grouped per type and sitemap file:
+// { type, severity, message, sitemap, count, examples }
+function validateSitemaps(entries, discovery, baseUrl) {
+  const issues = new Map();
+  const base = new URL(baseUrl);
+
+  const addIssue = (type, severity, message, sitemap, example) => {
+    const key = `${type}|${sitemap}`;
+    if (!issues.has(key)) {
+      issues.set(key, { type, severity, message, sitemap, count: 0, examples: [] });
+    }
+    const issue = issues.get(key);
+    issue.count++;
+    if (example && issue.examples.length < SITEMAP_ISSUE_EXAMPLES) {
+      issue.examples.push(example);
+    }
+  };
+
+  // File-level checks
+  discovery.sitemaps.forEach(file => {
+    if (file.urlCount > SITEMAP_MAX_URLS) {
+      addIssue('too-many-urls', 'error',
+        `${file.urlCount.toLocaleString()} entries (limit ${SITEMAP_MAX_URLS.toLocaleString()})`, file.url);
+    }
+    if (file.bytes > SITEMAP_MAX_BYTES) {
+      addIssue('file-too-large', 'error',
+        `${(file.bytes / 1024 / 1024).toFixed(1)} MB uncompressed (limit 50 MB)`, file.url);
+    }
+    if (file.format === 'sitemapindex' && file.depth > 0) {
+      addIssue('nested-index', 'error',
+        'Sitemap index referenced from another sitemap index', file.url, file.parent);
+    }
+  });
+
+  discovery.failures.forEach(failure => {
+    addIssue('unreadable-sitemap', 'error', `Could not be read: ${failure.error}`, failure.url);
+  });
+
+  discovery.skipped.forEach(({ url, parent, reason }) => {
+    if (reason === 'cycle') {
+      addIssue('sitemap-cycle', 'error', 'Sitemap index references itself or one of its parents', parent, url);
+    } else if (reason === 'duplicate') {
+      addIssue('duplicate-sitemap', 'warning', 'Sitemap listed more than once', parent, url);
+    } else {
+      addIssue('index-too-deep', 'error',
+        `Sitemap indexes nested deeper than ${SITEMAP_MAX_DEPTH} levels (not followed)`, parent, url);
+    }
+  });
+
+  // Entry-level checks
+  const firstSource = new Map();
+  entries.forEach(entry => {
+    const locProblem = checkSitemapLoc(entry.loc);
+    if (locProblem) {
+      addIssue('malformed-loc', 'error', `Malformed <loc>: ${locProblem}`, entry.source, entry.loc);
+    } else {
+      const url = new URL(entry.loc);
+      if (url.protocol !== base.protocol || url.host !== base.host) {
+        addIssue('foreign-url', 'warning',
+          `URLs on another host or protocol than ${base.origin}`, entry.source, entry.loc);
+      }
+    }
+
+    if (firstSource.has(entry.loc)) {
+      const previous = firstSource.get(entry.loc);
+      const where = previous === entry.source ? 'earlier in this file' : `also in ${previous}`;
+      addIssue('duplicate-url', 'warning', 'Duplicate URLs', entry.source, `${entry.loc} (${where})`);
+    } else {
+      firstSource.set(entry.loc, entry.source);
+    }
+
+    if (entry.lastmod && !isValidW3cDatetime(entry.lastmod)) {
+      addIssue('invalid-lastmod', 'warning', 'Invalid <lastmod> dates (W3C Datetime expected)',
+        entry.source, `${entry.loc} (${entry.lastmod})`);
+    }
+  });
+
+  const severityOrder = { error: 0, warning: 1 };
+  return [...issues.values()].sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+}
+
+// Returns a description of what is wrong with a <loc> value, or null if it is fine
+function checkSitemapLoc(loc) {
+  if (loc.length > SITEMAP_MAX_LOC_LENGTH) return `longer than ${SITEMAP_MAX_LOC_LENGTH} characters`;
+  if (/\s/.test(loc)) return 'contains whitespace';
+
+  let url;
+  try {
+    url = new URL(loc);
+  } catch (e) {
+    return 'not an absolute URL';
   }
 
-  // Extract URLs from regular sitemap
-  // Look for <url>...<loc>URL</loc>...</url> pattern
-  const urlPattern = /<url[^>]*>[\s\S]*?<loc[^>]*>([\s\S]*?)<\/loc>[\s\S]*?<\/url>/gi;
-  const urlMatches = [...xml.matchAll(urlPattern)];
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return `unsupported protocol ${url.protocol}`;
+  return null;
+}
+
+function isValidW3cDatetime(value) {
+  if (!W3C_DATETIME_PATTERN.test(value)) return false;
 
-  return urlMatches.map(match => match[1].trim());
+  // Reject impossible dates such as 2024-13-45
+  const [year, month = 1, day = 1] = value.slice(0, 10).split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Breadth-first budget weight of the root level. Each level below gets one less, down to
+// 1 from depth 4 on, so the top of the site gets the most screenshots while deep branches
+// still get some: with pages at depths 0-5 the root level gets 5/16 of the budget.
+const BREADTH_FIRST_ROOT_WEIGHT = 5;
+
+function breadthFirstDepthWeight(depth) {
+  return Math.max(1, BREADTH_FIRST_ROOT_WEIGHT - depth);
+}
+
+// Page-selection strategies (popup "Page selection"); report expansions reuse the one stored
+// in reportData.options. Each gets the candidate pages as { url, priority?, lastmod? } and
+// resolves to { urls } ('template' adds templates, see selectUrlsByTemplate).
+// context: { baseUrl, accept, loadTimeout, robots, urlList }.
+const SELECTION_STRATEGIES = {
+  'breadth-first': async (pages, maxPages, context) => ({
+    urls: selectRepresentativeUrls(pages.map(page => page.url), maxPages, context.baseUrl, context.accept)
+  }),
+  // Sitemap <priority> (0.5 when missing, as in the protocol), shallower pages first on ties
+  priority: async (pages, maxPages, context) => ({
+    urls: rankPages(pages.filter(page => context.accept(page.url)), context.baseUrl,
+      page => page.priority ?? 0.5).slice(0, maxPages)
+  }),
+  // Most recent <lastmod> first; pages without a valid date come last
+  recent: async (pages, maxPages, context) => ({
+    urls: rankPages(pages.filter(page => context.accept(page.url)), context.baseUrl,
+      page => Date.parse(page.lastmod) || -Infinity).slice(0, maxPages)
+  }),
+  random: async (pages, maxPages, context) => ({
+    urls: selectRandomStratified(pages.map(page => page.url).filter(context.accept), maxPages, context.baseUrl)
+  }),
+  list: async (pages, maxPages, context) => ({
+    urls: selectListedUrls(pages.map(page => page.url).filter(context.accept), maxPages, context.baseUrl,
+      context.urlList || [])
+  }),
+  template: (pages, maxPages, context) => selectUrlsByTemplate(pages.map(page => page.url), maxPages,
+    context.baseUrl, context.accept, context.loadTimeout, context.robots)
+};
+
+// Unknown or missing strategy names fall back to breadth-first
+function selectPages(strategy, pages, maxPages, context) {
+  const select = SELECTION_STRATEGIES[strategy] || SELECTION_STRATEGIES['breadth-first'];
+  return select(pages, maxPages, context);
+}
+
+// URLs by descending score, shallower paths first among equal scores (then input order)
+function rankPages(pages, baseUrl, score) {
+  return pages
+    .map(page => ({ url: page.url, score: score(page), depth: urlBranchPath(page.url, baseUrl).length }))
+    .sort((a, b) => b.score - a.score || a.depth - b.depth)
+    .map(page => page.url);
+}
+
+// Path segments below the scope root, prefixed with the host for pages on other hosts
+function urlBranchPath(url, baseUrl) {
+  try {
+    const base = new URL(baseUrl);
+    const parsed = new URL(url);
+    const path = parsed.pathname.startsWith(base.pathname) ? parsed.pathname.slice(base.pathname.length) : parsed.pathname;
+    const segments = path.split('/').filter(Boolean).concat(hashRouteSegments(parsed.hash));
+    return parsed.host === base.host ? segments : [parsed.host, ...segments];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Random sample stratified by first-level branch: every branch gets a share of the budget
+// proportional to its size (at least one page), drawn at random within the branch
+function selectRandomStratified(urls, maxPages, baseUrl) {
+  const strata = new Map();
+  shuffle(urls).forEach(url => {
+    const branch = urlBranchPath(url, baseUrl)[0] || '_root_';
+    if (!strata.has(branch)) strata.set(branch, []);
+    strata.get(branch).push(url);
+  });
+
+  let selected = [];
+  const leftover = [];
+  strata.forEach(stratum => {
+    const quota = Math.max(1, Math.floor(stratum.length / urls.length * maxPages));
+    selected.push(...stratum.slice(0, quota));
+    leftover.push(...stratum.slice(quota));
+  });
+
+  // More branches than budget: keep a random subset of them; budget left: random extra pages
+  selected = selected.length > maxPages ? shuffle(selected) : selected.concat(shuffle(leftover));
+  return selected.slice(0, maxPages);
+}
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// The user's URL list in its own order, limited to discovered pages. Entries may be paths
+// ("/pricing") relative to the site; trailing slashes and fragments are ignored when matching.
+function selectListedUrls(urls, maxPages, baseUrl, urlList) {
+  const normalize = url => url.replace(/#.*$/, '').replace(/\/$/, '');
+  const byUrl = new Map(urls.map(url => [normalize(url), url]));
+  const selected = [];
+
+  urlList.forEach(entry => {
+    let listed;
+    try {
+      listed = new URL(entry.trim(), baseUrl).href;
+    } catch (e) {
+      return;
+    }
+    const url = byUrl.get(normalize(listed));
+    if (url && !selected.includes(url)) selected.push(url);
+  });
+
+  return selected.slice(0, maxPages);
 }
 
 // Select representative URLs using breadth-first + branch coverage strategy
-function selectRepresentativeUrls(urls, maxPages, baseUrl) {
+// accept: optional predicate; the homepage/baseUrl are only forced in when it passes
+function selectRepresentativeUrls(urls, maxPages, baseUrl, accept = () => true) {
+  // Depth and branch are relative to the baseUrl path (the scope root); pages on other
+  // hosts than the home host (see homeHost) form branches of their own
+  const rootPath = new URL(baseUrl).pathname;
+
   // Parse and categorize URLs by depth and branch
   const parsed = urls.map(url => {
     try {
       const u = new URL(url);
       const path = u.pathname;
-      const segments = path.split('/').filter(Boolean);
+      const relativePath = path.startsWith(rootPath) ? path.slice(rootPath.length) : path;
+      // Hash routes (#/route) nest below their page like path segments
+      const segments = relativePath.split('/').filter(Boolean).concat(hashRouteSegments(u.hash));
       return {
         url,
-        path,
+        path: path + u.hash,
         depth: segments.length,
-        branch: segments[0] || '_root_', // first-level directory as branch
+        host: u.host,
         segments
       };
     } catch (e) {
@@ -205,15 +1661,22 @@ function selectRepresentativeUrls(urls, maxPages, baseUrl) {
     }
   }).filter(Boolean);
 
+  const baseHost = new URL(baseUrl).host;
+  const home = homeHost(parsed, baseHost);
+  parsed.forEach(p => {
+    // first-level directory as branch
+    p.branch = (p.host === home ? '' : p.host + ' ') + (p.segments[0] || '_root_');
+  });
+
   // Always include homepage if exists
   const selected = [];
-  const homepage = parsed.find(p => p.depth === 0 || p.path === '/');
-  if (homepage) {
+  const homepage = parsed.find(p => p.host === home && (p.depth === 0 || p.path === '/'));
+  if (homepage && accept(homepage.url)) {
     selected.push(homepage.url);
   }
 
-  // Also try to add the baseUrl itself
-  if (!selected.includes(baseUrl)) {
+  // Also try to add the baseUrl itself, unless its host has no pages
+  if (home === baseHost && !selected.includes(baseUrl) && accept(baseUrl)) {
     selected.push(baseUrl);
   }
 
@@ -228,12 +1691,11 @@ function selectRepresentativeUrls(urls, maxPages, baseUrl) {
   const depths = [...byDepth.keys()].sort((a, b) => a - b);
 
   // Allocate quota per depth level (more for shallow, less for deep)
-  // e.g., depth 1 gets 40%, depth 2 gets 30%, depth 3+ shares 30%
   const remaining = maxPages - selected.length;
   const quotas = new Map();
 
   if (depths.length > 0) {
-    const weights = depths.map(d => Math.max(1, 5 - d)); // depth 0->5, 1->4, 2->3, 3->2, 4+->1
+    const weights = depths.map(breadthFirstDepthWeight);
     const totalWeight = weights.reduce((a, b) => a + b, 0);
 
     depths.forEach((depth, i) => {
@@ -289,26 +1751,192 @@ function selectRepresentativeUrls(urls, maxPages, baseUrl) {
   return selected.slice(0, maxPages);
 }
 
+// Template-aware selection: how many pages are fetched for fingerprinting, how similar two
+// DOM skeletons must be (Jaccard) to count as one template, and screenshots per template
+const TEMPLATE_SAMPLE_LIMIT = 150;
+const TEMPLATE_FETCH_CONCURRENCY = 6;
+const TEMPLATE_SIMILARITY = 0.7;
+const TEMPLATE_EXAMPLES = 2;
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+  'param', 'source', 'track', 'wbr']);
+
+// Select URLs by page template instead of by path: fetch a sample of pages (the path-based
+// selection when there are more than TEMPLATE_SAMPLE_LIMIT), cluster them by DOM skeleton and
+// pick up to TEMPLATE_EXAMPLES pages per template, the largest templates first. Pages whose
+// HTML is rendered client-side mostly share one skeleton. Budget the templates leave over
+// is filled from the path-based selection, which also takes over entirely when no page
+// could be fingerprinted (non-HTML responses, bot blocking). Returns { urls, templates } with
+// templates: { sampled, clusters: [{ id, size, examples }], byUrl: { url: id } }.
+async function selectUrlsByTemplate(urls, maxPages, baseUrl, accept, timeout, robots) {
+  const candidates = urls.filter(accept);
+  const sample = candidates.length > TEMPLATE_SAMPLE_LIMIT
+    ? selectRepresentativeUrls(candidates, TEMPLATE_SAMPLE_LIMIT, baseUrl, accept)
+    : candidates;
+
+  const fingerprints = new Map();
+  let done = 0;
+  await runQueue(sample, TEMPLATE_FETCH_CONCURRENCY, async (url) => {
+    await robots.throttle(url);
+    const fingerprint = await fetchDomFingerprint(url, timeout);
+    if (fingerprint) fingerprints.set(url, fingerprint);
+    done++;
+    sendProgress(done, sample.length, `Sampling templates: ${url}`);
+  });
+
+  const clusters = clusterByTemplate(sample.filter(url => fingerprints.has(url)), fingerprints);
+
+  const selected = [];
+  for (let round = 0; round < TEMPLATE_EXAMPLES; round++) {
+    for (const cluster of clusters) {
+      if (selected.length >= maxPages) break;
+      if (cluster.urls[round]) selected.push(cluster.urls[round]);
+    }
+  }
+
+  if (selected.length < maxPages) {
+    const chosen = new Set(selected);
+    const byPath = selectRepresentativeUrls(candidates, maxPages, baseUrl, accept);
+    selected.push(...byPath.filter(url => !chosen.has(url)).slice(0, maxPages - selected.length));
+  }
+
+  const byUrl = {};
+  clusters.forEach(cluster => cluster.urls.forEach(url => { byUrl[url] = cluster.id; }));
+
+  return {
+    urls: selected,
+    templates: {
+      sampled: fingerprints.size,
+      clusters: clusters.map(cluster => ({ id: cluster.id, size: cluster.urls.length, examples: cluster.urls.slice(0, 5) })),
+      byUrl
+    }
+  };
+}
+
+// Greedy clustering: each page joins the template whose first page it resembles most, or starts
+// a new one below TEMPLATE_SIMILARITY. Templates are numbered T1, T2, … by size.
+function clusterByTemplate(urls, fingerprints) {
+  const clusters = [];
+  urls.forEach(url => {
+    const fingerprint = fingerprints.get(url);
+    let best = null;
+    let bestSimilarity = TEMPLATE_SIMILARITY;
+    clusters.forEach(cluster => {
+      const similarity = jaccardSimilarity(fingerprint, cluster.fingerprint);
+      if (similarity >= bestSimilarity) {
+        best = cluster;
+        bestSimilarity = similarity;
+      }
+    });
+    if (best) {
+      best.urls.push(url);
+    } else {
+      clusters.push({ fingerprint, urls: [url] });
+    }
+  });
+
+  return clusters
+    .sort((a, b) => b.urls.length - a.urls.length)
+    .map((cluster, i) => ({ id: `T${i + 1}`, urls: cluster.urls }));
+}
+
+function jaccardSimilarity(a, b) {
+  let shared = 0;
+  a.forEach(token => { if (b.has(token)) shared++; });
+  const union = a.size + b.size - shared;
+  return union === 0 ? 1 : shared / union;
+}
+
+// DOM fingerprint of a page's HTML, or null when it can't be fetched or isn't HTML
+async function fetchDomFingerprint(url, timeout) {
+  try {
+    const response = await fetchWithTimeout(url, { method: 'GET' }, timeout);
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !contentType.includes('html')) {
+      if (response.body) response.body.cancel().catch(() => {});
+      return null;
+    }
+    return domFingerprint(await response.text());
+  } catch (e) {
+    return null;
+  }
+}
+
+// Tag and class skeleton of an HTML document as a set of "parent>tag.class" tokens, so
+// repeated blocks count once and text content is ignored. Classes containing digits
+// (IDs, generated CSS-in-JS names) are dropped; script, style and svg contents are skipped.
+function domFingerprint(html) {
+  const markup = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '<$1></$1>');
+  const tokens = new Set();
+  const stack = [];
+  const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)([^>]*)>/g;
+
+  let match;
+  while ((match = tagPattern.exec(markup))) {
+    const [, closing, rawName, attributes] = match;
+    const name = rawName.toLowerCase();
+
+    if (closing) {
+      const index = stack.lastIndexOf(name);
+      if (index !== -1) stack.length = index;
+      continue;
+    }
+
+    const classMatch = /\sclass\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(attributes);
+    const classes = classMatch
+      ? (classMatch[1] ?? classMatch[2] ?? classMatch[3]).split(/\s+/).filter(c => c && !/\d/.test(c)).sort().slice(0, 3)
+      : [];
+    tokens.add(`${stack[stack.length - 1] || ''}>${name}${classes.map(c => '.' + c).join('')}`);
+
+    if (!VOID_ELEMENTS.has(name) && !attributes.trim().endsWith('/')) stack.push(name);
+  }
+
+  return tokens;
+}
+
+// Set node.template from the URL → template id map of selectUrlsByTemplate
+function attachTemplatesToTree(node, byUrl) {
+  if (node.url && byUrl[node.url]) {
+    node.template = byUrl[node.url];
+  }
+  if (node.children) {
+    node.children.forEach(child => attachTemplatesToTree(child, byUrl));
+  }
+}
+
 // Build hierarchical tree from URLs
-function buildUrlTree(urls, baseUrl) {
-  const root = {
-    name: new URL(baseUrl).hostname,
-    url: baseUrl,
-    path: '/',
-    children: [],
-    screenshot: null
-  };
-
-  const nodeMap = new Map();
-  nodeMap.set('/', root);
+// The root is the baseUrl path (the scope prefix, "/" for a whole site); URLs outside it are skipped.
+// Nodes are keyed by the canonical key's path, so URLs differing only in tracking params, case
+// or trailing slash (as configured) share a node, the first URL winning and the others
+// listed in node.aliases. A query string gets its own child node named after it, and a
+// hash route (kept by the canonicalizer in SPA mode) continues below it: "/app#/users/42"
+// becomes app → #/users → 42.
+// When URLs span several hosts (subdomains or a crawl host list) the root becomes a grouping
+// node with one branch per host (node.host, node.hostUrlCount), the home host (see homeHost) first;
+// paths inside a host branch are prefixed with the host so they never collide.
+function buildUrlTree(urls, baseUrl, canonicalizer = createCanonicalizer()) {
+  const base = new URL(baseUrl);
+  const rootPath = base.pathname.endsWith('/') ? base.pathname : base.pathname + '/';
 
   // Sort URLs by path depth
   const sortedUrls = urls
     .map(url => {
       try {
-        const parsed = new URL(url);
-        const path = parsed.pathname;
-        return { url, path, depth: path.split('/').filter(Boolean).length };
+        const key = new URL(canonicalizer.key(url));
+        const path = key.pathname;
+        if (!(path + '/').startsWith(rootPath)) return null;
+        const route = hashRouteSegments(key.hash);
+        return {
+          url,
+          host: key.host,
+          path,
+          search: key.search,
+          route,
+          depth: path.split('/').filter(Boolean).length + route.length
+        };
       } catch (e) {
         return null;
       }
@@ -316,13 +1944,82 @@ function buildUrlTree(urls, baseUrl) {
     .filter(Boolean)
     .sort((a, b) => a.depth - b.depth);
 
-  sortedUrls.forEach(({ url, path }) => {
-    const segments = path.split('/').filter(Boolean);
-    let currentPath = '/';
-    let parent = root;
+  // Only hosts with URLs count; the site's own host (or the one standing in for it) comes first
+  const home = homeHost(sortedUrls, base.host);
+  const hosts = [...new Set([home, ...sortedUrls.map(entry => entry.host)])];
+  const keepTrailingSlash = !canonicalizer.config.ignoreTrailingSlash;
+  const homeUrl = new URL(rootPath, `${base.protocol}//${home}`);
+  const rootName = rootPath === '/' ? homeUrl.hostname : homeUrl.hostname + rootPath.replace(/\/$/, '');
+
+  if (hosts.length === 1) {
+    // On another host the root takes that host's root page, or its URL if it isn't listed
+    const root = {
+      name: rootName,
+      url: home === base.host ? baseUrl : null,
+      path: rootPath,
+      children: [],
+      screenshot: null
+    };
+    addUrlsToBranch(root, rootPath, sortedUrls, keepTrailingSlash);
+    if (!root.url) root.url = homeUrl.href;
+    return root;
+  }
+
+  const root = {
+    name: rootName,
+    url: null,
+    path: rootPath,
+    children: [],
+    screenshot: null,
+    isGroup: true,
+    subtitle: `${hosts.length} hosts · ${sortedUrls.length} URLs`
+  };
+
+  hosts.forEach(host => {
+    const hostUrls = sortedUrls.filter(entry => entry.host === host);
+    const branch = {
+      name: host,
+      url: host === base.host ? baseUrl : null,
+      path: host + rootPath,
+      children: [],
+      screenshot: null,
+      host,
+      hostUrlCount: hostUrls.length
+    };
+    addUrlsToBranch(branch, rootPath, hostUrls, keepTrailingSlash);
+    root.children.push(branch);
+  });
+
+  return root;
+}
+
+// Host whose root stands in for the site: the baseUrl's host, unless no URL is on it
+// (example.com with a sitemap of www.example.com pages), then the host of the
+// shallowest URL. entries: [{ host, depth }]
+function homeHost(entries, baseHost) {
+  if (entries.length === 0 || entries.some(entry => entry.host === baseHost)) return baseHost;
+  return entries.reduce((best, entry) => entry.depth < best.depth ? entry : best).host;
+}
+
+// Insert depth-sorted URL entries (see buildUrlTree) below branch, whose path stands for rootPath.
+// The branch itself takes the URL whose path is rootPath when it has none.
+// keepTrailingSlash (canonicalization setting off) keeps /a and /a/ as separate pages.
+function addUrlsToBranch(branch, rootPath, sortedUrls, keepTrailingSlash = false) {
+  const nodeMap = new Map();
+  nodeMap.set(branch.path, branch);
+  // Canonical path of each node's URL, to tell /a from /a/
+  const urlPaths = new Map();
+
+  sortedUrls.forEach(({ url, path, search, route }) => {
+    const segments = path.slice(rootPath.length).split('/').filter(Boolean);
+    if (search) segments.push(search);
+    segments.push(...route);
+    let currentPath = branch.path;
+    let parent = branch;
+    let container = null;
 
     segments.forEach((segment, i) => {
-      const newPath = currentPath + segment + '/';
+      const newPath = segment === search ? currentPath + segment : currentPath + segment + '/';
 
       if (!nodeMap.has(newPath)) {
         const isLeaf = i === segments.length - 1;
@@ -333,22 +2030,138 @@ function buildUrlTree(urls, baseUrl) {
           children: [],
           screenshot: null
         };
+        if (isLeaf) urlPaths.set(node, path);
         parent.children.push(node);
         nodeMap.set(newPath, node);
       }
 
       currentPath = newPath;
+      container = parent;
       parent = nodeMap.get(newPath);
     });
 
-    // Update URL for existing node if this is the exact match
+    // Update URL for existing node if this is the exact match; duplicates become aliases
     const exactNode = nodeMap.get(currentPath);
     if (exactNode && !exactNode.url) {
       exactNode.url = url;
+      urlPaths.set(exactNode, path);
+    } else if (exactNode && exactNode.url !== url && exactNode !== branch) {
+      const otherPath = urlPaths.get(exactNode);
+      if (keepTrailingSlash && !search && route.length === 0 && otherPath && otherPath !== path &&
+          otherPath.replace(/\/$/, '') === path.replace(/\/$/, '')) {
+        addTrailingSlashSibling(container, exactNode, url, path, urlPaths);
+      } else {
+        exactNode.aliases = [...(exactNode.aliases || []), url];
+      }
     }
   });
+}
 
-  return root;
+// /a and /a/ as separate pages: the folder node keeps /a/ (and the pages below it)
+// and is named "a/", a sibling leaf "a" takes /a
+function addTrailingSlashSibling(container, folderNode, url, path, urlPaths) {
+  let fileUrl = url;
+  if (path.endsWith('/')) {
+    fileUrl = folderNode.url;
+    folderNode.url = url;
+    urlPaths.set(folderNode, path);
+  }
+
+  const name = folderNode.name;
+  folderNode.name = name + '/';
+  container.children.push({
+    name,
+    url: fileUrl,
+    path: folderNode.path.slice(0, -1),
+    children: [],
+    screenshot: null
+  });
+}
+
+// Segments of a client-side hash route, the first one keeping its "#/" or "#!/" prefix:
+// "#/users/42" → ["#/users", "42"]. Plain fragments (#section) and "#/" give [].
+function hashRouteSegments(hash) {
+  const match = /^(#!?\/)(.*)$/.exec(hash || '');
+  if (!match) return [];
+  const segments = match[2].split('/').filter(Boolean);
+  if (segments.length > 0) segments[0] = match[1] + segments[0];
+  return segments;
+}
+
+// URL -> 'orphan' | 'unreached' | 'not-in-sitemap' (see compareCoverage)
+function coverageStatusByUrl(coverage) {
+  const status = new Map();
+  coverage.orphans.forEach(url => status.set(url, 'orphan'));
+  coverage.unreached.forEach(url => status.set(url, 'unreached'));
+  coverage.notInSitemap.forEach(url => status.set(url, 'not-in-sitemap'));
+  return status;
+}
+
+// Set node.coverage from the coverage status map
+function markCoverageInTree(node, statusByUrl) {
+  if (node.url && statusByUrl.has(node.url)) {
+    node.coverage = statusByUrl.get(node.url);
+  }
+  if (node.children) {
+    node.children.forEach(child => markCoverageInTree(child, statusByUrl));
+  }
+}
+
+// Copy recorded HTTP responses (see describeDocumentResponse) onto tree nodes as node.http
+function attachHttpToTree(node, httpMap) {
+  if (node.url && httpMap[node.url]) {
+    node.http = httpMap[node.url];
+  }
+  if (node.children) {
+    node.children.forEach(child => attachHttpToTree(child, httpMap));
+  }
+}
+
+// page URL -> URLs merged into it, from sitemap entries and rel=canonical merges while crawling
+function collectAliases(entries, crawl) {
+  const aliases = new Map(crawl ? crawl.aliases : []);
+  entries.forEach(entry => {
+    if (entry.aliases) {
+      aliases.set(entry.loc, [...(aliases.get(entry.loc) || []), ...entry.aliases]);
+    }
+  });
+  return aliases;
+}
+
+// Add merged URLs to node.aliases (buildUrlTree may already have listed some)
+function attachAliasesToTree(node, aliasMap) {
+  if (node.url && aliasMap.has(node.url)) {
+    node.aliases = [...new Set([...(node.aliases || []), ...aliasMap.get(node.url)])];
+  }
+  if (node.children) {
+    node.children.forEach(child => attachAliasesToTree(child, aliasMap));
+  }
+}
+
+// Flag tree nodes whose URL robots.txt disallows
+function markRobotsBlockedInTree(node, blockedSet) {
+  if (node.url && blockedSet.has(node.url)) {
+    node.robotsBlocked = true;
+  }
+  if (node.children) {
+    node.children.forEach(child => markRobotsBlockedInTree(child, blockedSet));
+  }
+}
+
+// Copy sitemap metadata (lastmod, changefreq, priority, alternates, media) and the
+// sitemap file each URL came from (sourceSitemap) onto tree nodes
+function attachEntriesToTree(node, entryMap) {
+  const entry = node.url && entryMap.get(node.url);
+  if (entry) {
+    ['lastmod', 'changefreq', 'priority', 'alternates', 'images', 'videos', 'news'].forEach(field => {
+      if (entry[field] !== undefined) node[field] = entry[field];
+    });
+    node.sourceSitemap = entry.source;
+  }
+
+  if (node.children) {
+    node.children.forEach(child => attachEntriesToTree(child, entryMap));
+  }
 }
 
 // Attach screenshots to tree nodes
@@ -363,17 +2176,18 @@ function attachScreenshotsToTree(node, screenshotMap) {
 }
 
 // Main entry: try debugger API first (silent), fallback to window method
-async function captureScreenshots(urls, options) {
+async function captureScreenshots(urls, options, robots) {
   try {
-    return await captureScreenshotsDebugger(urls, options);
+    return await captureScreenshotsDebugger(urls, options, null, robots);
   } catch (error) {
     console.warn('Debugger API failed, falling back to window method:', error);
-    return await captureScreenshotsWindow(urls, options);
+    return await captureScreenshotsWindow(urls, options, robots);
   }
 }
 
 // V2: Capture more screenshots for dynamic tree expansion
-async function captureMoreScreenshots(urls, parentPath, options, sourceTabId) {
+// limit: cap for "+N more" expansions, whose URLs the report's selection strategy always picks
+async function captureMoreScreenshots(urls, parentPath, options, sourceTabId, limit) {
   if (isRunning) {
     sendToTab(sourceTabId, {
       type: 'captureMoreError',
@@ -398,29 +2212,48 @@ async function captureMoreScreenshots(urls, parentPath, options, sourceTabId) {
       });
     };
 
+    // "+N more" expansions always go through the report's strategy (a URL list also drops
+    // unlisted pages); a single clicked node is captured as asked
+    const robots = createRobotsGate(!options.ignoreRobots);
+    if (limit && options.selection) {
+      urls = await selectExpansionUrls(urls, limit, options, robots);
+    } else if (limit) {
+      urls = urls.slice(0, limit);
+    }
+
     // Capture screenshots with progress callback
-    const screenshots = await captureScreenshotsDebugger(urls, options, onProgress);
+    const screenshots = await captureScreenshotsDebugger(urls, options, onProgress, robots);
 
     // Update storage with new screenshots
     const { reportData } = await chrome.storage.local.get('reportData');
     if (reportData) {
       // Initialize if not exists
       if (!reportData.screenshotMap) reportData.screenshotMap = {};
+      if (!reportData.fullScreenshotMap) reportData.fullScreenshotMap = {};
       if (!reportData.capturedUrlSet) reportData.capturedUrlSet = [];
 
-      // Add new screenshots
-      screenshots.forEach(({ url, screenshot }) => {
+      if (!reportData.httpMap) reportData.httpMap = {};
+
+      // Add new screenshots and responses
+      screenshots.forEach(({ url, screenshot, fullScreenshot, http }) => {
         if (screenshot) {
           reportData.screenshotMap[url] = screenshot;
           if (!reportData.capturedUrlSet.includes(url)) {
             reportData.capturedUrlSet.push(url);
           }
         }
+        if (fullScreenshot) {
+          reportData.fullScreenshotMap[url] = fullScreenshot;
+        }
+        if (http) {
+          reportData.httpMap[url] = http;
+        }
       });
 
       // Update tree with new screenshots
       const allScreenshots = new Map(Object.entries(reportData.screenshotMap));
       attachScreenshotsToTree(reportData.tree, allScreenshots);
+      attachHttpToTree(reportData.tree, reportData.httpMap);
 
       reportData.capturedUrls = reportData.capturedUrlSet.length;
       await chrome.storage.local.set({ reportData });
@@ -429,7 +2262,8 @@ async function captureMoreScreenshots(urls, parentPath, options, sourceTabId) {
     // Send completion to report page
     sendToTab(sourceTabId, {
       type: 'captureMoreComplete',
-      screenshots: screenshots.filter(s => s.screenshot),
+      // Failed pages are included for their HTTP status
+      screenshots: screenshots.filter(s => s.screenshot || s.http),
       parentPath
     });
 
@@ -456,7 +2290,8 @@ function sendToTab(tabId, message) {
 
 // Method 1: Debugger API - completely silent, no visible window
 // onProgress: optional callback (current, total, url) for progress updates
-async function captureScreenshotsDebugger(urls, options, onProgress = null) {
+// robots: gate from createRobotsGate; report expansions build one from the stored options
+async function captureScreenshotsDebugger(urls, options, onProgress = null, robots = createRobotsGate(!options.ignoreRobots)) {
   const results = [];
   const { loadTimeout, captureDelay } = options;
 
@@ -469,11 +2304,16 @@ async function captureScreenshotsDebugger(urls, options, onProgress = null) {
   // Attach debugger
   await chrome.debugger.attach({ tabId: tab.id }, '1.3');
 
+  // Main-document responses (status, redirects, content type) via the Network domain
+  const documents = recordDocumentResponses(tab.id);
+
   try {
+    await chrome.debugger.sendCommand({ tabId: tab.id }, 'Network.enable');
+
     // Set viewport size
     await chrome.debugger.sendCommand({ tabId: tab.id }, 'Emulation.setDeviceMetricsOverride', {
-      width: 1280,
-      height: 900,
+      width: VIEWPORT_WIDTH,
+      height: VIEWPORT_HEIGHT,
       deviceScaleFactor: 1,
       mobile: false
     });
@@ -489,17 +2329,39 @@ async function captureScreenshotsDebugger(urls, options, onProgress = null) {
         sendProgress(i + 1, urls.length, url);
       }
 
+      if (!(await robots.isAllowed(url))) {
+        results.push({ url, screenshot: null, error: 'Disallowed by robots.txt' });
+        continue;
+      }
+
+      let http = null;
+
       try {
+        await robots.throttle(url);
+
         // Navigate to URL
-        await chrome.debugger.sendCommand({ tabId: tab.id }, 'Page.navigate', { url });
+        await leaveDocumentForHashRoute(tab.id, url, loadTimeout);
+        documents.clear();
+        const navigation = await chrome.debugger.sendCommand({ tabId: tab.id }, 'Page.navigate', { url });
+        if (navigation.errorText) {
+          http = { status: null, error: navigation.errorText, redirects: [], finalUrl: null, contentType: null };
+          throw new Error(navigation.errorText);
+        }
 
         // Wait for page load
         await waitForPageLoad(tab.id, loadTimeout);
+        http = await describeDocumentResponse(tab.id, documents.get(navigation.loaderId), url);
 
         // Additional delay for rendering
         await sleep(captureDelay);
 
         // Capture screenshot via debugger (works without tab being visible!)
+        if (options.fullPage) {
+          const { full, thumbnail } = await captureFullPage(tab.id);
+          results.push({ url, screenshot: thumbnail, fullScreenshot: full, http });
+          continue;
+        }
+
         const result = await chrome.debugger.sendCommand(
           { tabId: tab.id },
           'Page.captureScreenshot',
@@ -507,14 +2369,16 @@ async function captureScreenshotsDebugger(urls, options, onProgress = null) {
         );
 
         const screenshot = 'data:image/png;base64,' + result.data;
-        results.push({ url, screenshot });
+        results.push({ url, screenshot, http });
 
       } catch (error) {
         console.warn(`Failed to capture ${url}:`, error);
-        results.push({ url, screenshot: null, error: error.message });
+        results.push({ url, screenshot: null, error: error.message, http });
       }
     }
   } finally {
+    documents.stop();
+
     // Detach debugger and close tab
     try {
       await chrome.debugger.detach({ tabId: tab.id });
@@ -527,6 +2391,296 @@ async function captureScreenshotsDebugger(urls, options, onProgress = null) {
   return results;
 }
 
+// Emulated viewport of the capture tab
+const VIEWPORT_WIDTH = 1280;
+const VIEWPORT_HEIGHT = 900;
+
+// Full-page captures stop at this height (Chrome's texture limit), and tree nodes
+// get a thumbnail of this width cropped to the viewport's aspect ratio
+const FULL_PAGE_MAX_HEIGHT = 16384;
+const THUMBNAIL_WIDTH = 320;
+
+// Capture the whole page as JPEG at the content height measured by the layout metrics.
+// Returns { full, thumbnail }; thumbnail falls back to the full image if it can't be drawn.
+async function captureFullPage(tabId) {
+  const metrics = await chrome.debugger.sendCommand({ tabId }, 'Page.getLayoutMetrics');
+  const content = metrics.cssContentSize || metrics.contentSize;
+  const height = Math.min(Math.max(Math.ceil(content.height), VIEWPORT_HEIGHT), FULL_PAGE_MAX_HEIGHT);
+
+  const result = await chrome.debugger.sendCommand({ tabId }, 'Page.captureScreenshot', {
+    format: 'jpeg',
+    quality: 80,
+    captureBeyondViewport: true,
+    clip: { x: 0, y: 0, width: VIEWPORT_WIDTH, height, scale: 1 }
+  });
+  const full = 'data:image/jpeg;base64,' + result.data;
+
+  try {
+    return { full, thumbnail: await createThumbnail(full) };
+  } catch (error) {
+    console.warn('Failed to create thumbnail:', error);
+    return { full, thumbnail: full };
+  }
+}
+
+// Scale the top viewport-sized part of a screenshot down to THUMBNAIL_WIDTH
+// (Service Worker has no DOM, so this draws on an OffscreenCanvas)
+async function createThumbnail(dataUrl) {
+  const blob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(blob);
+  const sourceHeight = Math.min(bitmap.height, Math.round(bitmap.width * VIEWPORT_HEIGHT / VIEWPORT_WIDTH));
+  const height = Math.round(sourceHeight * THUMBNAIL_WIDTH / bitmap.width);
+
+  const canvas = new OffscreenCanvas(THUMBNAIL_WIDTH, height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, bitmap.width, sourceHeight, 0, 0, THUMBNAIL_WIDTH, height);
+  bitmap.close();
+
+  const thumbnail = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+  return blobToDataUrl(thumbnail);
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Apply the report's selection strategy (reportData.options) to expansion candidates,
+// with the sitemap metadata stored on the report tree
+async function selectExpansionUrls(urls, limit, options, robots) {
+  const { reportData } = await chrome.storage.local.get('reportData');
+  const metadata = new Map();
+  (function collect(node) {
+    if (node.url) metadata.set(node.url, { priority: node.priority, lastmod: node.lastmod });
+    (node.children || []).forEach(collect);
+  })(reportData?.tree || {});
+
+  const candidates = new Set(urls);
+  const pages = urls.map(url => ({ url, ...metadata.get(url) }));
+  const selection = await selectPages(options.selection, pages, limit, {
+    baseUrl: reportData?.baseUrl || urls[0],
+    accept: url => candidates.has(url),
+    loadTimeout: options.loadTimeout,
+    robots,
+    urlList: options.selectionUrls
+  });
+  return selection.urls;
+}
+
+// Collect Network events for top-level document requests, keyed by requestId
+// (for navigations the requestId equals the loaderId returned by Page.navigate).
+// Each redirect hop arrives as another requestWillBeSent with a redirectResponse.
+function recordDocumentResponses(tabId) {
+  const requests = new Map();
+
+  const listener = (source, method, params) => {
+    if (source.tabId !== tabId || params.type !== 'Document') return;
+
+    if (method === 'Network.requestWillBeSent') {
+      const request = requests.get(params.requestId) || { redirects: [], response: null };
+      if (params.redirectResponse) {
+        request.redirects.push({ url: params.redirectResponse.url, status: params.redirectResponse.status });
+      }
+      requests.set(params.requestId, request);
+    } else if (method === 'Network.responseReceived') {
+      const request = requests.get(params.requestId) || { redirects: [], response: null };
+      request.response = params.response;
+      requests.set(params.requestId, request);
+    }
+  };
+
+  chrome.debugger.onEvent.addListener(listener);
+
+  return {
+    get: (requestId) => requests.get(requestId) || null,
+    clear: () => requests.clear(),
+    stop: () => chrome.debugger.onEvent.removeListener(listener)
+  };
+}
+
+// Summarize a recorded document request as { status, redirects, finalUrl, contentType }.
+// finalUrl comes from the navigation history so client-side redirects count too.
+async function describeDocumentResponse(tabId, request, requestedUrl) {
+  const response = request && request.response;
+  let finalUrl = response ? response.url : requestedUrl;
+
+  try {
+    const history = await chrome.debugger.sendCommand({ tabId }, 'Page.getNavigationHistory');
+    finalUrl = history.entries[history.currentIndex].url || finalUrl;
+  } catch (e) {}
+
+  return {
+    status: response ? response.status : null,
+    redirects: request ? request.redirects : [],
+    finalUrl,
+    contentType: response ? getHeader(response.headers, 'content-type') || response.mimeType : null
+  };
+}
+
+// Header lookup ignoring case (DevTools keeps the server's spelling)
+function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+// Requests in flight during a health check
+const HEALTH_CHECK_CONCURRENCY = 6;
+
+// Health check mode: one lightweight request per URL instead of loading it in a tab.
+// Results have the shape of captureScreenshotsDebugger's (screenshot is always null).
+async function checkUrlsHealth(urls, timeout, robots) {
+  const results = new Map();
+  let done = 0;
+
+  await runQueue(urls, HEALTH_CHECK_CONCURRENCY, async (url) => {
+    await robots.throttle(url);
+    results.set(url, { url, screenshot: null, http: await checkUrlHealth(url, timeout) });
+    done++;
+    sendProgress(done, urls.length, `Checking: ${url}`);
+  });
+
+  // Keep the input order (workers finish out of order)
+  return urls.filter(url => results.has(url)).map(url => results.get(url));
+}
+
+// Redirects followed before a health check gives up on a URL
+const HEALTH_MAX_REDIRECTS = 10;
+
+// fetch() hides the hops of a redirect chain, so health-check requests are watched
+// through webRequest, which reports each hop's URL and status (the extension's own
+// requests have tabId -1). Watches wait here, by URL, until their request starts.
+const pendingRedirectWatches = new Map();
+const redirectWatches = new Map();
+
+if (chrome.webRequest) {
+  const filter = { urls: ['<all_urls>'], tabId: -1 };
+
+  chrome.webRequest.onBeforeRequest.addListener((details) => {
+    const waiting = pendingRedirectWatches.get(details.url);
+    if (!waiting || redirectWatches.has(details.requestId)) return;
+    const watch = waiting.shift();
+    if (waiting.length === 0) pendingRedirectWatches.delete(details.url);
+    watch.requestId = details.requestId;
+    redirectWatches.set(details.requestId, watch);
+  }, filter);
+
+  chrome.webRequest.onBeforeRedirect.addListener((details) => {
+    const watch = redirectWatches.get(details.requestId);
+    if (!watch) return;
+    watch.hops.push({ url: details.url, status: details.statusCode });
+    watch.target = details.redirectUrl;
+
+    if (watch.visited.has(details.redirectUrl)) {
+      watch.stopped = `Redirect loop: ${[...watch.hops.map(hop => hop.url), details.redirectUrl].join(' → ')}`;
+      watch.controller.abort();
+    } else if (watch.hops.length > HEALTH_MAX_REDIRECTS) {
+      watch.stopped = `Too many redirects (more than ${HEALTH_MAX_REDIRECTS})`;
+      watch.controller.abort();
+    }
+    watch.visited.add(details.redirectUrl);
+  }, filter);
+
+  chrome.webRequest.onCompleted.addListener((details) => {
+    const watch = redirectWatches.get(details.requestId);
+    if (watch) watch.settle();
+  }, filter);
+
+  chrome.webRequest.onErrorOccurred.addListener((details) => {
+    const watch = redirectWatches.get(details.requestId);
+    if (!watch) return;
+    watch.error = details.error;
+    watch.settle();
+  }, filter);
+}
+
+// Fetch a URL while recording its redirect chain. Resolves to { response, watch } or
+// rejects with the fetch error and the watch attached.
+async function fetchWatchingRedirects(url, init, timeout) {
+  // Keyed the way webRequest reports it: normalized, without the fragment
+  const requestUrl = new URL(url);
+  requestUrl.hash = '';
+  const key = requestUrl.href;
+  let settle;
+  const settled = new Promise(resolve => { settle = resolve; });
+  const watch = {
+    hops: [],
+    visited: new Set([key]),
+    target: null,
+    stopped: null,
+    error: null,
+    requestId: null,
+    controller: new AbortController(),
+    settle
+  };
+
+  if (!pendingRedirectWatches.has(key)) pendingRedirectWatches.set(key, []);
+  pendingRedirectWatches.get(key).push(watch);
+
+  try {
+    const response = await fetchWithTimeout(url, { ...init, signal: watch.controller.signal }, timeout);
+    return { response, watch };
+  } catch (error) {
+    error.watch = watch;
+    throw error;
+  } finally {
+    // webRequest events may arrive after fetch() settles; give them a moment
+    if (watch.requestId) {
+      await Promise.race([settled, new Promise(resolve => setTimeout(resolve, 1000))]);
+      redirectWatches.delete(watch.requestId);
+    }
+    const waiting = pendingRedirectWatches.get(key);
+    if (waiting && waiting.includes(watch)) {
+      waiting.splice(waiting.indexOf(watch), 1);
+      if (waiting.length === 0) pendingRedirectWatches.delete(key);
+    }
+  }
+}
+
+// HEAD request (GET when HEAD is not supported) following redirects, summarized like
+// describeDocumentResponse
+async function checkUrlHealth(url, timeout) {
+  try {
+    let { response, watch } = await fetchWatchingRedirects(url, { method: 'HEAD' }, timeout);
+    if (response.status === 405 || response.status === 501) {
+      ({ response, watch } = await fetchWatchingRedirects(url, { method: 'GET' }, timeout));
+    }
+    if (response.body) response.body.cancel().catch(() => {});
+
+    return {
+      status: response.status,
+      redirects: watch.hops,
+      finalUrl: response.url,
+      contentType: response.headers.get('content-type')
+    };
+  } catch (error) {
+    const redirects = error.watch ? error.watch.hops : [];
+    return { status: null, redirects, finalUrl: null, contentType: null, error: describeFetchError(error) };
+  }
+}
+
+function fetchWithTimeout(url, init, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  if (init.signal) init.signal.addEventListener('abort', () => controller.abort());
+  return fetch(url, { ...init, cache: 'no-store', signal: controller.signal })
+    .finally(() => clearTimeout(timer));
+}
+
+// fetch() reports every failure as a generic network error; the watch tells a redirect
+// loop, a too-long chain or a failing redirect target apart, with Chrome's error code.
+function describeFetchError(error) {
+  const watch = error.watch;
+  if (watch && watch.stopped) return watch.stopped;
+  if (error.name === 'AbortError') return 'Timed out';
+
+  const reason = (watch && watch.error) || error.message;
+  if (watch && watch.target) return `Redirect to ${watch.target} failed: ${reason}`;
+  return `Network error: ${reason}`;
+}
+
 // Wait for page load using debugger events
 function waitForPageLoad(tabId, timeout) {
   return new Promise((resolve) => {
@@ -548,9 +2702,12 @@ function waitForPageLoad(tabId, timeout) {
 }
 
 // Method 2: Window method - fallback, creates a visible window
-async function captureScreenshotsWindow(urls, options) {
+// captureVisibleTab only sees the viewport, so full-page mode is unavailable here: such
+// captures are flagged fullPageUnavailable and the report says so.
+async function captureScreenshotsWindow(urls, options, robots = createRobotsGate(!options.ignoreRobots)) {
   const results = [];
   const { loadTimeout, captureDelay } = options;
+  const fullPageUnavailable = !!options.fullPage;
 
   // Create a separate window for screenshots (user can ignore it)
   const captureWindow = await chrome.windows.create({
@@ -572,7 +2729,13 @@ async function captureScreenshotsWindow(urls, options) {
       const url = urls[i];
       sendProgress(i + 1, urls.length, url);
 
+      if (!(await robots.isAllowed(url))) {
+        results.push({ url, screenshot: null, error: 'Disallowed by robots.txt' });
+        continue;
+      }
+
       try {
+        await robots.throttle(url);
         await chrome.tabs.update(blankTab.id, { url });
         await waitForTabLoad(blankTab.id, loadTimeout);
         await sleep(captureDelay);
@@ -581,7 +2744,7 @@ async function captureScreenshotsWindow(urls, options) {
           format: 'png'
         });
 
-        results.push({ url, screenshot });
+        results.push(fullPageUnavailable ? { url, screenshot, fullPageUnavailable } : { url, screenshot });
 
       } catch (error) {
         console.warn(`Failed to capture ${url}:`, error);
@@ -621,20 +2784,40 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Check if URL is same domain (or subdomain) as base
-function isSameDomain(url, baseUrl) {
-  try {
-    const urlHost = new URL(url).hostname;
-    const baseHost = new URL(baseUrl).hostname;
-    // Exact match or subdomain match
-    return urlHost === baseHost || urlHost.endsWith('.' + baseHost);
-  } catch (e) {
-    return false;
-  }
+// Which hosts the crawler may follow links to, relative to the site's host:
+// 'exact' (that host only), 'subdomains' (that host and its subdomains) or
+// 'list' (that host plus config.hosts; "*.example.com" entries match subdomains).
+// test(url) only looks at the hostname.
+function createHostScope(config = {}, baseUrl) {
+  const mode = ['exact', 'subdomains', 'list'].includes(config.mode) ? config.mode : 'subdomains';
+  const baseHost = new URL(baseUrl).hostname;
+  const hosts = mode === 'list'
+    ? (config.hosts || []).map(host => host.trim().toLowerCase()).filter(Boolean)
+    : [];
+
+  const matchesHost = (urlHost, host) => host.startsWith('*.')
+    ? urlHost === host.slice(2) || urlHost.endsWith(host.slice(1))
+    : urlHost === host;
+
+  return {
+    mode,
+    hosts,
+    test(url) {
+      let urlHost;
+      try {
+        urlHost = new URL(url).hostname;
+      } catch (e) {
+        return false;
+      }
+      if (urlHost === baseHost) return true;
+      if (mode === 'subdomains') return urlHost.endsWith('.' + baseHost);
+      return hosts.some(host => matchesHost(urlHost, host));
+    }
+  };
 }
 
 // Extract links from page using debugger Runtime.evaluate
-async function extractLinks(tabId, baseUrl) {
+async function extractLinks(tabId, hostScope) {
   try {
     const result = await chrome.debugger.sendCommand({ tabId }, 'Runtime.evaluate', {
       expression: `
@@ -646,8 +2829,8 @@ async function extractLinks(tabId, baseUrl) {
     });
 
     if (result.result && result.result.value) {
-      // Filter to same domain only
-      return result.result.value.filter(url => isSameDomain(url, baseUrl));
+      // Filter to the crawl's host scope
+      return result.result.value.filter(url => hostScope.test(url));
     }
     return [];
   } catch (e) {
@@ -656,12 +2839,32 @@ async function extractLinks(tabId, baseUrl) {
   }
 }
 
-// Crawl from homepage when no sitemap is available (BFS)
-async function crawlFromHomepage(baseUrl, maxPages, loadTimeout) {
+// Crawl budget (pages kept) and link depth when the popup doesn't send them
+const DEFAULT_CRAWL_PAGES = 100;
+const DEFAULT_CRAWL_DEPTH = 3;
+
+// Crawl from homepage (or the scope root) when no sitemap is available (BFS)
+// crawlOptions: { maxPages, maxDepth, loadTimeout, robots, urlFilter, canonicalizer, hostScope, spa }.
+// maxPages is the crawl budget (pages kept), independent of how many get screenshots.
+// spa: 'off' | 'watch' | 'click' (see SPA_HISTORY_RECORDER and clickNavigationElements);
+// in SPA modes each page waits for its DOM to settle and client-side route changes count as links.
+// Links to other hosts (see createHostScope), outside the scope, disallowed by robots.txt or rejected by the URL filter are never queued;
+// the homepage is always visited for its links but only kept if the filter accepts it.
+// Pages are identified by canonical key, and a page whose <link rel="canonical"> points
+// elsewhere on the site is recorded under that URL (the visited URL becomes an alias).
+// Returns { startUrl, urls, edges, aliases, complete } where edges are [fromUrl, toUrl] pairs for
+// every link found on a visited page (possibly to pages never visited), aliases maps
+// page URLs to the URLs merged into them and complete tells whether the queue ran out
+// before the crawl budget did (or the analysis was cancelled)
+async function crawlFromHomepage(baseUrl, crawlOptions) {
+  const { maxPages, maxDepth, loadTimeout, robots, urlFilter, canonicalizer, hostScope } = crawlOptions;
+  const spa = crawlOptions.spa || 'off';
   const visited = new Set();
   const queue = [{ url: baseUrl, depth: 0 }];
-  const maxDepth = 3;
   const urls = [];
+  const edges = [];
+  const pageByKey = new Map();
+  const aliases = new Map();
 
   // Create a hidden tab with debugger
   const tab = await chrome.tabs.create({ url: 'about:blank', active: false });
@@ -669,48 +2872,94 @@ async function crawlFromHomepage(baseUrl, maxPages, loadTimeout) {
 
   try {
     await chrome.debugger.sendCommand({ tabId: tab.id }, 'Page.enable');
+    if (spa !== 'off') {
+      await chrome.debugger.sendCommand({ tabId: tab.id }, 'Page.addScriptToEvaluateOnNewDocument', {
+        source: SPA_HISTORY_RECORDER
+      });
+    }
 
     while (queue.length > 0 && urls.length < maxPages) {
       if (shouldCancel) break;
 
       const { url, depth } = queue.shift();
-
-      // Skip if already visited or too deep
-      if (visited.has(url) || depth > maxDepth) continue;
-      visited.add(url);
-
-      // Normalize URL (remove hash, trailing slash variations)
-      let normalizedUrl;
-      try {
-        const parsed = new URL(url);
-        parsed.hash = '';
-        normalizedUrl = parsed.href.replace(/\/$/, '');
-      } catch (e) {
-        continue;
+      const pageUrl = canonicalizer.clean(url);
+      const key = pageUrl && canonicalizer.key(pageUrl);
+
+      // Skip if unparsable, already visited (or merged into a canonical page) or too deep
+      if (!key || visited.has(key) || pageByKey.has(key) || depth > maxDepth) continue;
+      visited.add(key);
+
+      if (!(await robots.isAllowed(pageUrl))) continue;
+      const keep = urlFilter.test(pageUrl);
+      if (keep) {
+        urls.push(pageUrl);
+        pageByKey.set(key, pageUrl);
+      } else {
+        urlFilter.record(pageUrl);
+        if (depth > 0) continue;
       }
 
-      if (urls.includes(normalizedUrl)) continue;
-      urls.push(normalizedUrl);
-
-      sendProgress(urls.length, maxPages, `Crawling: ${normalizedUrl}`);
+      sendProgress(urls.length, maxPages, `Crawling: ${pageUrl}`);
 
       // Navigate and extract links
       try {
-        await chrome.debugger.sendCommand({ tabId: tab.id }, 'Page.navigate', { url: normalizedUrl });
+        await robots.throttle(pageUrl);
+        await leaveDocumentForHashRoute(tab.id, pageUrl, loadTimeout);
+        await chrome.debugger.sendCommand({ tabId: tab.id }, 'Page.navigate', { url: pageUrl });
         await waitForPageLoad(tab.id, loadTimeout);
-        await sleep(500); // Brief delay for JS rendering
+        if (spa === 'off') {
+          await sleep(500); // Brief delay for JS rendering
+        } else {
+          await waitForDomSettle(tab.id, loadTimeout);
+        }
+
+        // Merge this page into its rel=canonical URL when that differs
+        let sourceUrl = pageUrl;
+        const canonical = keep ? canonicalizer.clean(await extractCanonical(tab.id)) : null;
+        const canonicalKey = canonical && canonicalizer.key(canonical);
+        if (canonicalKey && canonicalKey !== key && hostScope.test(canonical) && isInScope(canonical, baseUrl) &&
+            urlFilter.test(canonical) && await robots.isAllowed(canonical)) {
+          sourceUrl = pageByKey.get(canonicalKey) || canonical;
+          if (pageByKey.has(canonicalKey)) {
+            urls.splice(urls.indexOf(pageUrl), 1);
+          } else {
+            urls[urls.indexOf(pageUrl)] = canonical;
+            pageByKey.set(canonicalKey, canonical);
+            visited.add(canonicalKey);
+          }
+          pageByKey.set(key, sourceUrl);
+          aliases.set(sourceUrl, [...(aliases.get(sourceUrl) || []), pageUrl]);
+        }
+
+        // Extract links from this page, plus the routes the app navigated to by itself
+        // (redirects, replaceState) or when its navigation elements were clicked
+        const links = await extractLinks(tab.id, hostScope);
+        if (spa !== 'off') {
+          if (spa === 'click') await clickNavigationElements(tab.id);
+          const routes = await readRecordedRoutes(tab.id);
+          links.push(...routes.filter(route => hostScope.test(route)));
+        }
 
-        // Extract links from this page
-        const links = await extractLinks(tab.id, baseUrl);
+        // Keep the page-to-page edges for the link graph
+        for (const link of new Set(links.map(canonicalizer.clean))) {
+          if (link && canonicalizer.key(link) !== key) edges.push([sourceUrl, link]);
+        }
 
         // Add new links to queue
+        // (links the filters reject are recorded once they would otherwise have been queued)
         for (const link of links) {
-          if (!visited.has(link) && depth + 1 <= maxDepth) {
-            queue.push({ url: link, depth: depth + 1 });
+          const linkKey = canonicalizer.key(link);
+          if (linkKey && !visited.has(linkKey) && !pageByKey.has(linkKey) && depth + 1 <= maxDepth &&
+              isInScope(link, baseUrl) && await robots.isAllowed(link)) {
+            if (urlFilter.test(link)) {
+              queue.push({ url: link, depth: depth + 1 });
+            } else {
+              urlFilter.record(link);
+            }
           }
         }
       } catch (e) {
-        console.warn(`Failed to crawl ${normalizedUrl}:`, e);
+        console.warn(`Failed to crawl ${pageUrl}:`, e);
       }
     }
   } finally {
@@ -718,7 +2967,284 @@ async function crawlFromHomepage(baseUrl, maxPages, loadTimeout) {
     try { await chrome.tabs.remove(tab.id); } catch (e) {}
   }
 
-  return urls;
+  // Point links at the page URL they were recorded under (canonical merges included)
+  const resolve = url => pageByKey.get(canonicalizer.key(url)) || url;
+  const resolvedEdges = edges
+    .map(([from, to]) => [from, resolve(to)])
+    .filter(([from, to]) => from !== to);
+
+  return {
+    startUrl: resolve(canonicalizer.clean(baseUrl)),
+    urls,
+    edges: resolvedEdges,
+    aliases,
+    complete: queue.length === 0 && !shouldCancel
+  };
+}
+
+// href of the page's <link rel="canonical"> (absolute, as resolved by the browser), or null
+async function extractCanonical(tabId) {
+  try {
+    const result = await chrome.debugger.sendCommand({ tabId }, 'Runtime.evaluate', {
+      expression: `document.querySelector('link[rel~="canonical" i]')?.href || null`,
+      returnByValue: true
+    });
+    return (result.result && result.result.value) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// DOM is considered settled after this long without mutations (capped by the load timeout)
+const SPA_SETTLE_QUIET_MS = 500;
+
+// Navigation elements clicked per page in the 'click' SPA mode, and the wait after each click
+const SPA_CLICK_LIMIT = 20;
+const SPA_CLICK_WAIT_MS = 300;
+
+// Injected before any page script runs: records every URL the app moves to through
+// history.pushState/replaceState, hash changes and back/forward in window.__sitemapVisualizerRoutes
+const SPA_HISTORY_RECORDER = `(() => {
+  const routes = window.__sitemapVisualizerRoutes = [];
+  const record = () => routes.push(location.href);
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      record();
+      return result;
+    };
+  }
+  addEventListener('hashchange', record);
+  addEventListener('popstate', record);
+})();`;
+
+// Resolve once the page has gone SPA_SETTLE_QUIET_MS without DOM mutations, or after timeout
+async function waitForDomSettle(tabId, timeout) {
+  try {
+    await chrome.debugger.sendCommand({ tabId }, 'Runtime.evaluate', {
+      expression: `new Promise(resolve => {
+        const done = () => {
+          observer.disconnect();
+          clearTimeout(quiet);
+          clearTimeout(deadline);
+          resolve();
+        };
+        const observer = new MutationObserver(() => {
+          clearTimeout(quiet);
+          quiet = setTimeout(done, ${SPA_SETTLE_QUIET_MS});
+        });
+        let quiet = setTimeout(done, ${SPA_SETTLE_QUIET_MS});
+        const deadline = setTimeout(done, ${timeout});
+        observer.observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+      })`,
+      awaitPromise: true
+    });
+  } catch (e) {
+    // The page navigated away or never got a document; go on with what is there
+  }
+}
+
+// Click elements that look like client-side navigation (router links without an href,
+// buttons in nav/header, menu items and tabs). Skipped: anything in or submitting a form,
+// elements that open a dialog or ask for confirmation (aria-haspopup="dialog", data-confirm)
+// and anything labelled like a destructive or paid action. Route changes are picked up by
+// SPA_HISTORY_RECORDER; a click that triggers a full page load ends the evaluation, and
+// routes recorded so far are lost.
+async function clickNavigationElements(tabId) {
+  try {
+    await chrome.debugger.sendCommand({ tabId }, 'Runtime.evaluate', {
+      expression: `(async () => {
+        const selector = '[role="link"], [data-href], [routerlink], [data-to], nav button, header button, ' +
+          '[role="navigation"] button, [role="menuitem"], [role="tab"]';
+        const unsafe = 'a[href], form, [type="submit"], [form], [aria-haspopup="dialog"], [data-confirm]';
+        const candidates = Array.from(document.querySelectorAll(selector))
+          .filter(el => !el.closest(unsafe) && !el.disabled &&
+            !/(log|sign)\\s*out|delete|remove|purchase|checkout|subscribe|\\b(buy|pay|order)\\b/i.test(el.textContent))
+          .slice(0, ${SPA_CLICK_LIMIT});
+        for (const el of candidates) {
+          if (!el.isConnected) continue;
+          el.click();
+          await new Promise(resolve => setTimeout(resolve, ${SPA_CLICK_WAIT_MS}));
+        }
+      })()`,
+      awaitPromise: true
+    });
+  } catch (e) {
+    console.warn('Failed to click navigation elements:', e);
+  }
+}
+
+// URLs recorded by SPA_HISTORY_RECORDER in the current document
+async function readRecordedRoutes(tabId) {
+  try {
+    const result = await chrome.debugger.sendCommand({ tabId }, 'Runtime.evaluate', {
+      expression: `Array.from(new Set(window.__sitemapVisualizerRoutes || []))`,
+      returnByValue: true
+    });
+    return (result.result && result.result.value) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Page.navigate between URLs that differ only in their fragment stays in the same document:
+// no load event fires and no document response is recorded. Load about:blank first so hash
+// routes (#/route) get a fresh page load like any other page.
+// The document is read from the tab's navigation history, since skipped, failed or
+// redirected navigations leave the tab on another URL than the one last requested.
+async function leaveDocumentForHashRoute(tabId, toUrl, timeout) {
+  if (!new URL(toUrl).hash) return;
+  const fromUrl = await loadedDocumentUrl(tabId);
+  if (!fromUrl) return;
+  const from = new URL(fromUrl);
+  const to = new URL(toUrl);
+  from.hash = '';
+  to.hash = '';
+  if (from.href !== to.href) return;
+
+  await chrome.debugger.sendCommand({ tabId }, 'Page.navigate', { url: 'about:blank' });
+  await waitForPageLoad(tabId, timeout);
+}
+
+// URL of the document currently loaded in the tab, or null
+async function loadedDocumentUrl(tabId) {
+  try {
+    const history = await chrome.debugger.sendCommand({ tabId }, 'Page.getNavigationHistory');
+    return history.entries[history.currentIndex].url || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Query parameters dropped from every URL by default ("*" matches any suffix)
+const DEFAULT_STRIP_PARAMS = ['utm_*', 'gclid', 'dclid', 'fbclid', 'msclkid', 'yclid', 'mc_cid', 'mc_eid', '_ga', '_gl'];
+
+// URL canonicalization shared by the crawler, the coverage diff and the tree builder.
+// clean() is the URL to request and display: no fragment and no tracking parameters.
+// With hashRoutes (SPA crawling) "#/route" and "#!/route" fragments are kept as part of the page.
+// key() identifies a page: the clean URL with, when configured, a lower-cased path and
+// no trailing slash. URLs with the same key are one page; different queries are not.
+function createCanonicalizer(config = {}) {
+  const stripParams = (config.stripParams || DEFAULT_STRIP_PARAMS).map(param => param.trim().toLowerCase()).filter(Boolean);
+  const lowercasePaths = !!config.lowercasePaths;
+  const ignoreTrailingSlash = config.ignoreTrailingSlash !== false;
+  const hashRoutes = !!config.hashRoutes;
+
+  const isStripped = name => stripParams.some(param =>
+    param.endsWith('*') ? name.startsWith(param.slice(0, -1)) : name === param);
+
+  function clean(url) {
+    if (!url) return null;
+    try {
+      const parsed = new URL(url);
+      if (!hashRoutes || hashRouteSegments(parsed.hash).length === 0) parsed.hash = '';
+      // Only rewrite the query when something is removed, to keep its original encoding
+      const names = [...new Set(parsed.searchParams.keys())].filter(name => isStripped(name.toLowerCase()));
+      names.forEach(name => parsed.searchParams.delete(name));
+      return parsed.href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function key(url) {
+    const cleaned = clean(url);
+    if (!cleaned) return null;
+
+    const parsed = new URL(cleaned);
+    let path = parsed.pathname;
+    let hash = parsed.hash;
+    if (lowercasePaths) {
+      path = path.toLowerCase();
+      hash = hash.toLowerCase();
+    }
+    if (ignoreTrailingSlash && path.length > 1) path = path.replace(/\/+$/, '');
+    if (ignoreTrailingSlash) hash = hash.replace(/\/+$/, '');
+    return parsed.origin + path + parsed.search + hash;
+  }
+
+  return {
+    config: { stripParams, lowercasePaths, ignoreTrailingSlash, hashRoutes },
+    clean,
+    key
+  };
+}
+
+// Merge sitemap entries whose URLs share a canonical key. The first entry wins, with
+// its loc cleaned; the other locs become its aliases.
+function mergeCanonicalEntries(entries, canonicalizer) {
+  const byKey = new Map();
+  const merged = [];
+
+  entries.forEach(entry => {
+    const key = canonicalizer.key(entry.loc);
+    if (!key) return;
+
+    const existing = byKey.get(key);
+    if (existing) {
+      if (entry.loc !== existing.loc) existing.aliases = [...(existing.aliases || []), entry.loc];
+      return;
+    }
+
+    const cleaned = { ...entry, loc: canonicalizer.clean(entry.loc) };
+    if (cleaned.loc !== entry.loc) cleaned.aliases = [entry.loc];
+    byKey.set(key, cleaned);
+    merged.push(cleaned);
+  });
+
+  return merged;
+}
+
+// Sitemap URLs no crawled page links to (the start page is exempt) and linked or
+// visited pages missing from the sitemap. URLs are compared by canonical key.
+// Unlinked sitemap URLs are orphans only when the crawl followed every link it found;
+// a crawl that ran out of budget reports them as unreached (not reached within crawlBudget pages).
+// Links outside the scope or rejected by the URL filter are ignored.
+function compareCoverage(sitemapUrls, crawl, crawlBudget, scopeUrl, urlFilter, canonicalizer) {
+  const linked = new Map();
+  crawl.edges.forEach(([, to]) => {
+    if (isInScope(to, scopeUrl) && urlFilter.test(to)) linked.set(canonicalizer.key(to), to);
+  });
+
+  const inSitemap = new Set(sitemapUrls.map(canonicalizer.key));
+  const found = new Map([...crawl.urls.map(url => [canonicalizer.key(url), url]), ...linked]);
+  const startKey = canonicalizer.key(crawl.startUrl);
+  const notLinked = sitemapUrls.filter(url => {
+    const key = canonicalizer.key(url);
+    return key !== startKey && !linked.has(key);
+  });
+
+  return {
+    sitemapUrls: sitemapUrls.length,
+    crawledPages: crawl.urls.length,
+    linkedPages: linked.size,
+    crawlBudget,
+    crawlComplete: crawl.complete,
+    orphans: crawl.complete ? notLinked : [],
+    unreached: crawl.complete ? [] : notLinked,
+    notInSitemap: [...found].filter(([key]) => !inSitemap.has(key)).map(([, url]) => url)
+  };
+}
+
+// Compact link graph for reportData: { pages, start, edges } where edges are
+// [fromIndex, toIndex] into pages and start is the index of the crawl start page.
+// Only links between pages in the graph are kept.
+function buildLinkGraph(startUrl, urls, edges) {
+  const pages = urls.includes(startUrl) ? [...urls] : [startUrl, ...urls];
+  const index = new Map(pages.map((url, i) => [url, i]));
+  const seen = new Set();
+  const graphEdges = [];
+
+  edges.forEach(([from, to]) => {
+    if (!index.has(from) || !index.has(to)) return;
+    const key = `${index.get(from)}>${index.get(to)}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    graphEdges.push([index.get(from), index.get(to)]);
+  });
+
+  return { pages, start: index.get(startUrl), edges: graphEdges };
 }
 
 // Send progress to popup
@@ -5,11 +5,35 @@
  * and displays progress updates.
  */
 
+// Smallest crawl budget the popup recommends for Coverage mode
+const COVERAGE_MIN_CRAWL_PAGES = 100;
+
 document.addEventListener('DOMContentLoaded', () => {
   const urlInput = document.getElementById('url-input');
+  const analysisModeSelect = document.getElementById('analysis-mode');
+  const scopeModeSelect = document.getElementById('scope-mode');
+  const customScopeGroup = document.getElementById('custom-scope-group');
+  const customScopeInput = document.getElementById('custom-scope');
   const maxPagesSelect = document.getElementById('max-pages');
+  const selectionStrategySelect = document.getElementById('selection-strategy');
+  const selectionUrlsGroup = document.getElementById('selection-urls-group');
+  const selectionUrlsInput = document.getElementById('selection-urls');
+  const crawlPagesSelect = document.getElementById('crawl-pages');
+  const coverageBudgetHint = document.getElementById('coverage-budget-hint');
+  const crawlDepthSelect = document.getElementById('crawl-depth');
+  const hostScopeSelect = document.getElementById('host-scope');
+  const hostListGroup = document.getElementById('host-list-group');
+  const hostListInput = document.getElementById('host-list');
+  const spaModeSelect = document.getElementById('spa-mode');
   const loadTimeoutSelect = document.getElementById('load-timeout');
   const captureDelaySelect = document.getElementById('capture-delay');
+  const fullPageCheckbox = document.getElementById('full-page');
+  const ignoreRobotsCheckbox = document.getElementById('ignore-robots');
+  const includePatternsInput = document.getElementById('include-patterns');
+  const excludePatternsInput = document.getElementById('exclude-patterns');
+  const stripParamsInput = document.getElementById('strip-params');
+  const lowercasePathsCheckbox = document.getElementById('lowercase-paths');
+  const ignoreTrailingSlashCheckbox = document.getElementById('ignore-trailing-slash');
   const startBtn = document.getElementById('start-btn');
   const currentPageBtn = document.getElementById('current-page-btn');
   const currentPageUrlEl = document.getElementById('current-page-url');
@@ -23,6 +47,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   let isRunning = false;
   let currentTabUrl = null;
+  let currentTabPath = '/';
 
   // Check if analysis is running (recover state on popup reopen)
   chrome.runtime.sendMessage({ type: 'getStatus' }, (state) => {
@@ -45,7 +70,8 @@ document.addEventListener('DOMContentLoaded', () => {
         // Only show for http/https URLs
         if (url.protocol === 'http:' || url.protocol === 'https:') {
           currentTabUrl = url.origin;
-          currentPageUrlEl.textContent = currentTabUrl;
+          currentTabPath = url.pathname;
+          updateCurrentPageLabel();
           currentPageBtn.disabled = false;
         } else {
           currentPageUrlEl.textContent = 'Cannot analyze this page type';
@@ -72,6 +98,28 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  scopeModeSelect.addEventListener('change', () => {
+    customScopeGroup.style.display = scopeModeSelect.value === 'custom' ? 'flex' : 'none';
+    updateCurrentPageLabel();
+  });
+  customScopeInput.addEventListener('input', updateCurrentPageLabel);
+
+  selectionStrategySelect.addEventListener('change', () => {
+    selectionUrlsGroup.style.display = selectionStrategySelect.value === 'list' ? 'flex' : 'none';
+  });
+
+  // The crawl budget is used as chosen, also in Coverage mode
+  function updateCoverageBudgetHint() {
+    const small = analysisModeSelect.value === 'coverage' && parseInt(crawlPagesSelect.value) < COVERAGE_MIN_CRAWL_PAGES;
+    coverageBudgetHint.style.display = small ? 'block' : 'none';
+  }
+  analysisModeSelect.addEventListener('change', updateCoverageBudgetHint);
+  crawlPagesSelect.addEventListener('change', updateCoverageBudgetHint);
+
+  hostScopeSelect.addEventListener('change', () => {
+    hostListGroup.style.display = hostScopeSelect.value === 'list' ? 'flex' : 'none';
+  });
+
   currentPageBtn.addEventListener('click', startCurrentPageAnalysis);
   startBtn.addEventListener('click', startAnalysis);
   cancelBtn.addEventListener('click', cancelAnalysis);
@@ -85,7 +133,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function startCurrentPageAnalysis() {
     if (!currentTabUrl || isRunning) return;
-    doStartAnalysis(currentTabUrl);
+    doStartAnalysis(currentTabUrl, currentTabPath);
   }
 
   async function startAnalysis() {
@@ -105,18 +153,69 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    doStartAnalysis(parsedUrl.origin);
+    doStartAnalysis(parsedUrl.origin, parsedUrl.pathname);
   }
 
-  function doStartAnalysis(siteUrl) {
+  // Path prefix the analysis is limited to ("/" for the whole site).
+  // "Current path" uses the path of the page or URL being analyzed.
+  function resolveScopePrefix(pagePath) {
+    let prefix = '/';
+    if (scopeModeSelect.value === 'path') {
+      // A page such as /help/article-1 scopes to its section, /help/
+      prefix = pagePath.slice(0, pagePath.lastIndexOf('/') + 1);
+    } else if (scopeModeSelect.value === 'custom') {
+      prefix = customScopeInput.value.trim() || '/';
+      try {
+        // Accept a full URL as well as a bare path
+        if (/^https?:\/\//.test(prefix)) prefix = new URL(prefix).pathname;
+      } catch (e) {
+        prefix = '/';
+      }
+    }
+
+    if (!prefix.startsWith('/')) prefix = '/' + prefix;
+    return prefix.endsWith('/') ? prefix : prefix + '/';
+  }
+
+  function updateCurrentPageLabel() {
+    if (!currentTabUrl) return;
+    const prefix = resolveScopePrefix(currentTabPath);
+    currentPageUrlEl.textContent = currentTabUrl + (prefix === '/' ? '' : prefix);
+  }
+
+  function doStartAnalysis(siteUrl, pagePath = '/') {
     if (isRunning) return;
 
     // Get settings
     const options = {
       url: siteUrl,
+      mode: analysisModeSelect.value,
+      scopePrefix: resolveScopePrefix(pagePath),
       maxPages: parseInt(maxPagesSelect.value),
+      selection: selectionStrategySelect.value,
+      selectionUrls: splitPatterns(selectionUrlsInput.value),
       loadTimeout: parseInt(loadTimeoutSelect.value),
-      captureDelay: parseInt(captureDelaySelect.value)
+      captureDelay: parseInt(captureDelaySelect.value),
+      fullPage: fullPageCheckbox.checked,
+      crawl: {
+        maxPages: parseInt(crawlPagesSelect.value),
+        maxDepth: parseInt(crawlDepthSelect.value),
+        hostScope: {
+          mode: hostScopeSelect.value,
+          hosts: hostListInput.value.split(',').map(host => host.trim()).filter(Boolean)
+        },
+        spa: spaModeSelect.value
+      },
+      ignoreRobots: ignoreRobotsCheckbox.checked,
+      filters: {
+        include: splitPatterns(includePatternsInput.value),
+        exclude: splitPatterns(excludePatternsInput.value)
+      },
+      canonicalization: {
+        stripParams: stripParamsInput.value.split(',').map(param => param.trim()).filter(Boolean),
+        lowercasePaths: lowercasePathsCheckbox.checked,
+        ignoreTrailingSlash: ignoreTrailingSlashCheckbox.checked
+      }
     };
 
     // Update UI
@@ -136,6 +235,11 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // One URL pattern per line, blank lines ignored
+  function splitPatterns(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
   function cancelAnalysis() {
     chrome.runtime.sendMessage({ type: 'cancel' });
     resetUI();
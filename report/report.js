@@ -13,6 +13,10 @@ let g = null;
 let zoom = null;
 let isExpanding = false;
 let pendingExpand = null;
+let colorMode = 'none';
+let problemsOnly = false;  // Show only broken/redirected pages (and their ancestors)
+let viewMode = 'path';  // 'path' (URL hierarchy), 'pattern' (URL templates), 'locale' (language folders merged), 'source' (grouped by source sitemap) or 'graph' (link graph)
+let expandedPatterns = new Set();  // Template node paths whose concrete instances are listed (pattern view)
 
 // Node dimensions (shared)
 const NODE_WIDTH = 160;
@@ -20,6 +24,75 @@ const NODE_HEIGHT = 110;
 const H_SPACING = 200;
 const V_SPACING = 160;
 
+// Expanding "+N more": candidate URLs sent to the service worker, of which the report's
+// page-selection strategy picks up to EXPAND_CAPTURE_LIMIT to capture
+const EXPAND_CANDIDATES = 50;
+const EXPAND_CAPTURE_LIMIT = 10;
+
+// Sibling path segments folded into one template node per kind (see segmentKind);
+// slugs are also ordinary section names, so they need more siblings and a clear majority
+const PATTERN_MIN_INSTANCES = 2;
+const PATTERN_MIN_SLUGS = 3;
+const PATTERN_SLUG_SHARE = 0.75;
+
+// Short folder names such as /my/ or /new/ look like language codes too. Without hreflang
+// alternates confirming a folder's locale, it needs another locale-like folder sharing at
+// least this share of the pages below the smaller of the two
+const LOCALE_SHARED_PATHS = 0.5;
+
+// Human-readable names for the sitemap formats detected by the service worker
+const SITEMAP_FORMAT_LABELS = {
+  urlset: 'XML sitemap',
+  sitemapindex: 'Sitemap index',
+  rss: 'RSS 2.0',
+  atom: 'Atom 1.0',
+  text: 'Text'
+};
+
+// Sitemap media extensions shown as badges on nodes
+const MEDIA_TYPES = [
+  { list: 'images', label: 'IMG', title: 'Images' },
+  { list: 'videos', label: 'VID', title: 'Videos' },
+  { list: 'news', label: 'NEWS', title: 'News' }
+];
+
+// HTTP status classes for the "status" color mode and the broken/redirected filter
+const STATUS_BUCKETS = [
+  { key: 'ok', label: '2xx OK' },
+  { key: 'redirect', label: 'Redirected', problem: true },
+  { key: 'client-error', label: '4xx Client error', problem: true },
+  { key: 'server-error', label: '5xx Server error', problem: true },
+  { key: 'failed', label: 'Failed to load', problem: true },
+  { key: 'unknown', label: 'Not visited' }
+];
+
+// Coverage analysis states (node.coverage)
+const COVERAGE_LABELS = {
+  orphan: {
+    badge: 'ORPHAN',
+    title: 'Orphan pages',
+    description: 'Orphan: in the sitemap, but no crawled page links here'
+  },
+  unreached: {
+    badge: 'NOT REACHED',
+    title: 'Not reached by the crawl',
+    description: 'In the sitemap, but not linked from the pages crawled before the crawl budget ran out'
+  },
+  'not-in-sitemap': {
+    badge: 'NOT IN SITEMAP',
+    title: 'Not in sitemap',
+    description: 'Linked from the site, but missing from the sitemap'
+  }
+};
+
+// Last modified age buckets for the "lastmod" color mode (upper bound in days)
+const LASTMOD_AGE_BUCKETS = [
+  { key: 'fresh', maxDays: 30, label: '< 30 days' },
+  { key: 'recent', maxDays: 180, label: '< 6 months' },
+  { key: 'aging', maxDays: 365, label: '< 1 year' },
+  { key: 'stale', maxDays: Infinity, label: '1 year or older' }
+];
+
 document.addEventListener('DOMContentLoaded', async () => {
   const loading = document.getElementById('loading');
   const noData = document.getElementById('no-data');
@@ -41,9 +114,16 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('meta-total').textContent = `Total URLs: ${reportData.totalUrls}`;
   document.getElementById('meta-captured').textContent = `Captured: ${reportData.capturedUrls}`;
   document.getElementById('meta-time').textContent = `Generated: ${new Date(reportData.timestamp).toLocaleString()}`;
+  updateSourceInfo(reportData.discovery);
+  updateRobotsInfo(reportData.robots);
+  updateFilterInfo(reportData.filters);
+  updateHealthInfo(reportData);
+  updateTemplateInfo(reportData.templates);
+  updateFullPageInfo(reportData.options);
 
   // Render tree
-  renderTree(reportData.tree);
+  renderTree();
+  setupViewMode(reportData);
 
   // Setup export buttons
   setupExport(reportData);
@@ -51,6 +131,21 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Setup modal
   setupModal();
 
+  // Node coloring
+  setupColorMode();
+
+  // Only broken/redirected pages
+  setupProblemsFilter(reportData.httpMap);
+
+  // Sitemap validation findings
+  setupIssuesPanel(reportData.issues);
+
+  // Sitemap vs. linked pages (coverage mode only)
+  setupCoveragePanel(reportData.coverage);
+
+  // Pages missing per language folder (localized sites only)
+  setupLocalePanel(reportData.tree);
+
   // V2: Listen for messages from service worker
   chrome.runtime.onMessage.addListener((message) => {
     if (message.type === 'captureMoreProgress') {
@@ -96,12 +191,12 @@ function collapseTree(node, maxChildren = 5) {
   return node;
 }
 
-function renderTree(data) {
+function renderTree() {
   const width = window.innerWidth;
   const height = window.innerHeight - 80;
 
   // Collapse tree before rendering (store for updates)
-  currentTreeData = collapseTree(JSON.parse(JSON.stringify(data)), 5);
+  currentTreeData = collapseTree(buildViewTree(), 5);
 
   // Create SVG (use global)
   svg = d3.select('#visualization')
@@ -133,22 +228,13 @@ function renderTree(data) {
 
   // Initial render
   updateTree(false);
-
-  // Calculate initial transform
-  const bounds = g.node().getBBox();
-  const scale = Math.min(0.9, Math.min(width / bounds.width, height / bounds.height) * 0.8);
-  const initialTransform = d3.zoomIdentity
-    .translate(width / 2 - bounds.x * scale - bounds.width * scale / 2, 100)
-    .scale(scale);
-  svg.call(zoom.transform, initialTransform);
-
-  window._initialTransform = initialTransform;
+  fitToView();
 
   // Reset view button
   document.getElementById('reset-view').addEventListener('click', () => {
     svg.transition()
       .duration(500)
-      .call(zoom.transform, initialTransform);
+      .call(zoom.transform, window._initialTransform);
   });
 
   // Handle window resize
@@ -162,6 +248,517 @@ function renderTree(data) {
   window._tooltip = tooltip;
 }
 
+// Calculate the transform that fits the rendered tree and apply it
+// (top-aligned for trees, centered for the link graph)
+function fitToView(center = false) {
+  const width = window.innerWidth;
+  const height = window.innerHeight - 80;
+
+  const bounds = g.node().getBBox();
+  const scale = Math.min(0.9, Math.min(width / bounds.width, height / bounds.height) * 0.8);
+  const top = center ? height / 2 - bounds.y * scale - bounds.height * scale / 2 : 100;
+  const initialTransform = d3.zoomIdentity
+    .translate(width / 2 - bounds.x * scale - bounds.width * scale / 2, top)
+    .scale(scale);
+  svg.call(zoom.transform, initialTransform);
+
+  window._initialTransform = initialTransform;
+}
+
+// Build the (uncollapsed) tree for the current view from the stored report tree.
+// Screenshots captured on demand since the report was opened are re-attached.
+function buildViewTree() {
+  let tree = JSON.parse(JSON.stringify(currentReportData.tree));
+  attachScreenshotsToNodes([tree], currentReportData.screenshotMap || {});
+  attachHttpToNodes([tree], currentReportData.httpMap || {});
+
+  if (problemsOnly) {
+    tree = pruneTree(tree, node => isProblemStatus(node)) || { ...tree, children: [] };
+  }
+
+  if (viewMode === 'source') {
+    tree = groupTreeBySourceSitemap(tree, currentReportData.discovery?.sitemaps || []);
+  } else if (viewMode === 'pattern') {
+    tree = buildPatternTree(tree);
+  } else if (viewMode === 'locale') {
+    tree = buildLocaleTree(tree, analyzeLocales(tree));
+  }
+
+  rollupStatus(tree);
+  return tree;
+}
+
+// Count checked, broken and redirected pages per branch (the node itself included)
+// as node.statusRollup, so sections with errors stand out once collapsed
+function rollupStatus(node) {
+  const rollup = { checked: 0, broken: 0, redirected: 0 };
+
+  if (node.http) {
+    const bucket = statusBucket(node);
+    rollup.checked++;
+    if (bucket === 'redirect') rollup.redirected++;
+    else if (STATUS_BUCKETS.some(b => b.key === bucket && b.problem)) rollup.broken++;
+  }
+
+  (node.children || []).forEach(child => {
+    const childRollup = rollupStatus(child);
+    rollup.checked += childRollup.checked;
+    rollup.broken += childRollup.broken;
+    rollup.redirected += childRollup.redirected;
+  });
+
+  node.statusRollup = rollup;
+  return rollup;
+}
+
+// Copy of the tree keeping nodes that match and their ancestors; null if nothing matches
+function pruneTree(node, predicate) {
+  const children = (node.children || [])
+    .map(child => pruneTree(child, predicate))
+    .filter(Boolean);
+
+  if (children.length === 0 && !predicate(node)) return null;
+  return { ...node, children };
+}
+
+function setupProblemsFilter(httpMap) {
+  const button = document.getElementById('toggle-problems');
+  if (!httpMap || Object.keys(httpMap).length === 0) return;
+
+  button.style.display = 'inline-block';
+  button.addEventListener('click', () => {
+    if (isExpanding || viewMode === 'graph') return;
+    problemsOnly = !problemsOnly;
+    button.classList.toggle('active', problemsOnly);
+    rerenderTree();
+  });
+}
+
+// Re-render from scratch after the view changes
+function rerenderTree() {
+  g.select('.links-group').selectAll('*').remove();
+  g.select('.nodes-group').selectAll('*').remove();
+
+  // Node coloring only applies to the tree views
+  document.getElementById('color-mode').style.display = viewMode === 'graph' ? 'none' : '';
+
+  if (viewMode === 'graph') {
+    currentTreeData = null;
+    renderLinkGraph();
+    fitToView(true);
+    renderGraphLegend();
+    return;
+  }
+
+  currentTreeData = collapseTree(buildViewTree(), 5);
+  updateTree(false);
+  fitToView();
+  renderColorLegend();
+}
+
+function setupViewMode(reportData) {
+  const select = document.getElementById('view-mode');
+
+  // Grouping by source only makes sense when URLs came from sitemap files,
+  // and the link graph needs links recorded by the crawler
+  const hasSitemaps = reportData.discovery?.sitemaps?.length > 0;
+  const hasLinks = reportData.linkGraph?.edges?.length > 0;
+  select.querySelector('option[value="source"]').hidden = !hasSitemaps;
+  select.querySelector('option[value="graph"]').hidden = !hasLinks;
+  select.querySelector('option[value="locale"]').hidden = analyzeLocales(reportData.tree).locales.length < 2;
+
+  select.addEventListener('change', () => {
+    // Expansion updates the tree in place, so wait until it is done
+    if (isExpanding) {
+      select.value = viewMode;
+      return;
+    }
+    viewMode = select.value;
+    rerenderTree();
+  });
+}
+
+// Hierarchy of sitemap files (indexes contain their child sitemaps) with the pages
+// each file lists as flat children. Pages without a source sitemap are grouped separately.
+function groupTreeBySourceSitemap(tree, sitemaps) {
+  const root = { ...tree, children: [] };
+  const groups = new Map();
+
+  sitemaps.forEach(sitemap => {
+    const unit = sitemap.format === 'sitemapindex' ? 'sitemaps' : 'URLs';
+    groups.set(sitemap.url, {
+      name: sitemapFileName(sitemap.url),
+      url: null,
+      path: `sitemap:${sitemap.url}/`,
+      children: [],
+      screenshot: null,
+      isGroup: true,
+      title: sitemap.url,
+      subtitle: `${formatLabel(sitemap.format) || 'Sitemap'} · ${sitemap.urlCount} ${unit}`
+    });
+  });
+
+  sitemaps.forEach(sitemap => {
+    const parent = (sitemap.parent && groups.get(sitemap.parent)) || root;
+    parent.children.push(groups.get(sitemap.url));
+  });
+
+  let ungrouped = null;
+  collectPageNodes(tree).forEach(page => {
+    if (page === tree) return;
+
+    let group = page.sourceSitemap && groups.get(page.sourceSitemap);
+    if (!group) {
+      if (!ungrouped) {
+        ungrouped = {
+          name: 'Not in a sitemap',
+          url: null,
+          path: 'sitemap:none/',
+          children: [],
+          screenshot: null,
+          isGroup: true,
+          subtitle: ''
+        };
+        root.children.push(ungrouped);
+      }
+      group = ungrouped;
+    }
+
+    // Flat list, so show the full path rather than the last segment
+    group.children.push({ ...page, name: page.path, path: `${group.path}${page.path}`, children: [] });
+  });
+
+  if (ungrouped) ungrouped.subtitle = `${ungrouped.children.length} URLs`;
+  groups.forEach(group => {
+    group.children.sort((a, b) => (a.isGroup === b.isGroup ? 0 : a.isGroup ? -1 : 1));
+  });
+
+  return root;
+}
+
+// All nodes that stand for a page (have a URL), depth-first
+function collectPageNodes(node, result = []) {
+  if (node.url && !node.isEllipsis) result.push(node);
+  (node.children || []).forEach(child => collectPageNodes(child, result));
+  return result;
+}
+
+// Tree with variable path segments (IDs, dates, UUIDs, slugs) folded into template nodes
+// such as /products/:id or /blog/:year/:slug. Below a template, the children of all its
+// instances are merged by name, so every node there is a template too. A template lists its
+// concrete instances (the original subtrees) instead once its path is in expandedPatterns.
+// kind is the segmentKind of node's own name, which decides whether months and days follow.
+function buildPatternTree(node, kind = null) {
+  return { ...node, children: patternChildren(node.children || [], node, false, kind) };
+}
+
+function patternChildren(children, parent, underTemplate, parentKind) {
+  const kinds = new Map();
+  const byKind = new Map();
+  children.forEach(child => {
+    const kind = child.isGroup || child.isPattern ? null : segmentKind(child.name, parentKind);
+    kinds.set(child, kind);
+    if (!kind) return;
+    if (!byKind.has(kind)) byKind.set(kind, []);
+    byKind.get(kind).push(child);
+  });
+
+  const groups = [];
+  const folded = new Set();
+  byKind.forEach((nodes, kind) => {
+    const enough = kind === 'slug'
+      ? nodes.length >= PATTERN_MIN_SLUGS && nodes.length >= children.length * PATTERN_SLUG_SHARE
+      : nodes.length >= PATTERN_MIN_INSTANCES;
+    if (!enough) return;
+    nodes.forEach(node => folded.add(node));
+    groups.push({ name: `:${kind}`, kind, instances: nodes, folded: true });
+  });
+
+  const byName = new Map();
+  children.filter(child => !folded.has(child)).forEach(child => {
+    if (!byName.has(child.name)) {
+      byName.set(child.name, { name: child.name, kind: kinds.get(child), instances: [], folded: false });
+      groups.push(byName.get(child.name));
+    }
+    byName.get(child.name).instances.push(child);
+  });
+
+  return groups.map(group => (group.folded || underTemplate)
+    ? templateNode(group.name, parent, group.instances, group.kind)
+    : buildPatternTree(group.instances[0], group.kind));
+}
+
+function templateNode(name, parent, instances, kind) {
+  const path = `${parent.path}${name}/`;
+  const expanded = expandedPatterns.has(path);
+  const count = `${instances.length} instance${instances.length === 1 ? '' : 's'}`;
+  const node = {
+    name,
+    url: null,
+    path,
+    children: [],
+    screenshot: null,
+    isGroup: true,
+    isPattern: true,
+    title: (parent.title || parent.path.replace(/\/$/, '')) + '/' + name,
+    instanceCount: instances.length,
+    examples: instances.slice(0, 3).map(instance => instance.url || instance.path),
+    subtitle: expanded ? `${count} · click to fold` : `${count} · click to list`
+  };
+
+  node.children = expanded
+    ? instances.map(instance => buildPatternTree(instance, kind))
+    : patternChildren(instances.flatMap(instance => instance.children || []), node, true, kind);
+  return node;
+}
+
+// Kind of variable path segment, or null for a fixed one. Month and day are only
+// recognized below a year or month segment (a template or a single folder like /2024/).
+function segmentKind(segment, parentKind) {
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) return 'uuid';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(segment)) return 'date';
+  if (/^(19|20)\d{2}$/.test(segment)) return 'year';
+  if (parentKind === 'year' && /^(0?[1-9]|1[0-2])$/.test(segment)) return 'month';
+  if (parentKind === 'month' && /^(0?[1-9]|[12]\d|3[01])$/.test(segment)) return 'day';
+  if (/^\d+$/.test(segment) || /^[0-9a-f]{16,}$/i.test(segment)) return 'id';
+  if (/^[a-z0-9]+(?:[-_][a-z0-9]+)+(?:\.[a-z]+)?$/i.test(segment)) return 'slug';
+  return null;
+}
+
+// Show or hide the concrete instances of a template node, keeping the zoom
+function togglePatternInstances(d) {
+  if (isExpanding) return;
+
+  const path = d.data.path;
+  if (expandedPatterns.has(path)) {
+    expandedPatterns.delete(path);
+  } else {
+    expandedPatterns.add(path);
+  }
+
+  g.select('.links-group').selectAll('*').remove();
+  g.select('.nodes-group').selectAll('*').remove();
+  currentTreeData = collapseTree(buildViewTree(), 5);
+  updateTree(false);
+}
+
+// Pages of a site translated into language folders (/en/, /de/, /pt-br/ among the root's
+// children, see localeFolders), matched across locales by their path below the folder and, when the sitemap has
+// hreflang alternates, by those links (so /de/ueber-uns can pair with /en/about). Unprefixed
+// pages take the locale their own hreflang alternate names, if any.
+// Returns { locales, primary, groups } where each group is one page across locales:
+// { rel (segments below the locale folder), versions (locale → node), others (extra nodes) }.
+// Multi-host trees and sites with fewer than two locales give no locales.
+function analyzeLocales(tree) {
+  const empty = { locales: [], primary: null, groups: [] };
+  if (tree.isGroup) return empty;
+
+  const prefixes = localeFolders(tree);
+
+  const entries = [];
+  (function walk(node, segments) {
+    if (node.url && !node.isEllipsis) {
+      const prefix = prefixes.get(segments[0]);
+      entries.push(prefix
+        ? { page: node, locale: prefix, rel: segments.slice(1) }
+        : { page: node, locale: ownHreflang(node), rel: segments });
+    }
+    (node.children || []).forEach(child => walk(child, [...segments, child.name]));
+  })(tree, []);
+
+  const counts = new Map();
+  entries.forEach(({ locale }) => {
+    if (locale) counts.set(locale, (counts.get(locale) || 0) + 1);
+  });
+  if (counts.size < 2) return empty;
+  const locales = [...counts.keys()].sort();
+  const primary = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+  // Same path below the locale folder, then joined through hreflang alternates
+  const groupOf = new Map();
+  const byRel = new Map();
+  entries.forEach(entry => {
+    const key = JSON.stringify(entry.rel);
+    if (!byRel.has(key)) byRel.set(key, { members: [] });
+    byRel.get(key).members.push(entry);
+    groupOf.set(entry, byRel.get(key));
+  });
+
+  const byUrl = new Map(entries.map(entry => [normalizeLocaleUrl(entry.page.url), entry]));
+  entries.forEach(entry => {
+    (entry.page.alternates || []).forEach(alternate => {
+      const other = byUrl.get(normalizeLocaleUrl(alternate.href));
+      const from = groupOf.get(entry);
+      const to = other && groupOf.get(other);
+      if (!to || to === from) return;
+      to.members.forEach(member => {
+        from.members.push(member);
+        groupOf.set(member, from);
+      });
+      to.members = [];
+    });
+  });
+
+  // Each group sits at the path of its primary-locale page (or its first localized one)
+  const groups = new Map();
+  [...byRel.values()].filter(group => group.members.length > 0).forEach(({ members }) => {
+    const anchor = members.find(m => m.locale === primary) || members.find(m => m.locale) || members[0];
+    const key = JSON.stringify(anchor.rel);
+    if (!groups.has(key)) groups.set(key, { rel: anchor.rel, versions: new Map(), others: [] });
+    const group = groups.get(key);
+    members.forEach(({ page, locale }) => {
+      if (locale && !group.versions.has(locale)) group.versions.set(locale, page);
+      else group.others.push(page);
+    });
+  });
+
+  return { locales, primary, groups: [...groups.values()] };
+}
+
+// Root folder name → locale for the folders that hold a site's translations: named like a
+// locale (localeFromSegment) and either confirmed by an hreflang alternate pointing into the
+// folder with that locale, or sharing LOCALE_SHARED_PATHS of its pages with another such folder.
+// An hreflang confirming a folder also decides how its locale is spelled.
+function localeFolders(tree) {
+  const candidates = new Map();
+  (tree.children || []).forEach(child => {
+    const locale = localeFromSegment(child.name);
+    if (locale) candidates.set(child.name, { locale, rels: new Set(), confirmedAs: null });
+  });
+  if (candidates.size === 0) return new Map();
+
+  (function walk(node, segments) {
+    const candidate = candidates.get(segments[0]);
+    if (node.url && !node.isEllipsis && candidate && segments.length > 1) {
+      candidate.rels.add(segments.slice(1).join('/'));
+    }
+    (node.alternates || []).forEach(alternate => {
+      const target = candidates.get(rootFolderOf(alternate.href, tree.path));
+      const hreflang = alternate.hreflang && sameLanguage(alternate.hreflang, target?.locale);
+      if (hreflang && !target.confirmedAs) target.confirmedAs = hreflang;
+    });
+    (node.children || []).forEach(child => walk(child, [...segments, child.name]));
+  })(tree, []);
+
+  const folders = [...candidates.values()];
+  const sharesPages = candidate => folders.some(other => {
+    if (other === candidate) return false;
+    const shared = [...candidate.rels].filter(rel => other.rels.has(rel)).length;
+    const smaller = Math.min(candidate.rels.size, other.rels.size);
+    return shared > 0 && shared >= smaller * LOCALE_SHARED_PATHS;
+  });
+
+  const prefixes = new Map();
+  candidates.forEach((candidate, name) => {
+    if (candidate.confirmedAs) prefixes.set(name, candidate.confirmedAs);
+    else if (sharesPages(candidate)) prefixes.set(name, candidate.locale);
+  });
+  return prefixes;
+}
+
+// First path segment of url below the tree root path, or null
+function rootFolderOf(url, rootPath) {
+  try {
+    const path = new URL(url).pathname;
+    if (!path.startsWith(rootPath)) return null;
+    return path.slice(rootPath.length).split('/').filter(Boolean)[0] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Canonical hreflang when it names the locale (compared case-insensitively) or, for a
+// language-only locale such as "en", a regional variant of it ("en-GB"); null otherwise
+function sameLanguage(hreflang, locale) {
+  if (!locale) return null;
+  try {
+    const [canonical] = Intl.getCanonicalLocales(hreflang.replace('_', '-'));
+    if (canonical.toLowerCase() === locale.toLowerCase()) return canonical;
+    const language = new Intl.Locale(canonical).language;
+    return locale.toLowerCase() === language ? locale : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Canonical locale code for a path segment such as "en", "de-at" or "pt_BR", or null
+function localeFromSegment(segment) {
+  if (!/^[a-z]{2,3}(?:[-_][a-z0-9]{2,4})?$/i.test(segment)) return null;
+  try {
+    const [locale] = Intl.getCanonicalLocales(segment.replace('_', '-'));
+    const language = new Intl.Locale(locale).language;
+    const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+    return name && name !== language ? locale : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Locale of the hreflang alternate pointing back at the page itself (x-default excluded)
+function ownHreflang(page) {
+  const own = (page.alternates || []).find(alternate =>
+    alternate.hreflang && alternate.hreflang.toLowerCase() !== 'x-default' && sameUrl(alternate.href, page.url));
+  if (!own) return null;
+  try {
+    return Intl.getCanonicalLocales(own.hreflang.replace('_', '-'))[0];
+  } catch (e) {
+    return null;
+  }
+}
+
+function normalizeLocaleUrl(url) {
+  return (url || '').replace(/#.*$/, '').replace(/\/$/, '');
+}
+
+// One tree for all locales: each page node shows its primary-locale version (or the first
+// one present) with node.locales / node.missingLocales; the other versions become aliases.
+function buildLocaleTree(tree, analysis) {
+  if (analysis.locales.length < 2) return tree;
+
+  const root = { ...tree, children: [] };
+  const nodeMap = new Map([['', root]]);
+
+  analysis.groups.forEach(group => {
+    let key = '';
+    let parent = root;
+    group.rel.forEach(segment => {
+      key += '/' + segment;
+      if (!nodeMap.has(key)) {
+        const node = { name: segment, url: null, path: `locale:${key}/`, children: [], screenshot: null };
+        parent.children.push(node);
+        nodeMap.set(key, node);
+      }
+      parent = nodeMap.get(key);
+    });
+
+    const versions = [...group.versions.values()];
+    const shown = parent === root ? null
+      : group.versions.get(analysis.primary) || versions[0] || group.others[0];
+    if (shown) {
+      Object.assign(parent, { ...shown, name: parent.name, path: parent.path, children: parent.children });
+    }
+    const hidden = [...versions, ...group.others].filter(page => page !== shown && page.url !== parent.url);
+    if (hidden.length > 0) {
+      parent.aliases = [...(parent.aliases || []), ...hidden.map(page => page.url)];
+    }
+    if (group.versions.size > 0) {
+      parent.locales = [...group.versions.keys()].sort();
+      parent.missingLocales = analysis.locales.filter(locale => !group.versions.has(locale));
+    }
+  });
+
+  return root;
+}
+
+function sitemapFileName(url) {
+  try {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    return segments[segments.length - 1] || url;
+  } catch (e) {
+    return url;
+  }
+}
+
 // Render or update the tree visualization
 function updateTree(animate = true) {
   const root = d3.hierarchy(currentTreeData);
@@ -216,7 +813,8 @@ function updateTree(animate = true) {
 
   const nodesEnter = nodes.enter()
     .append('g')
-    .attr('class', d => 'node' + (d.data.isEllipsis ? ' node-ellipsis' : ''))
+    .attr('class', d => 'node' + (d.data.isEllipsis ? ' node-ellipsis' : '') + (d.data.isGroup ? ' node-group' : '') +
+      (d.data.isPattern ? ' node-pattern' : '') + (d.data.coverage ? ` node-${d.data.coverage}` : ''))
     .attr('transform', d => `translate(${d.x - NODE_WIDTH/2}, ${d.y - NODE_HEIGHT/2})`)
     .style('opacity', animate ? 0 : 1);
 
@@ -249,6 +847,8 @@ function updateTree(animate = true) {
     .duration(duration)
     .attr('transform', d => `translate(${d.x - NODE_WIDTH/2}, ${d.y - NODE_HEIGHT/2})`);
 
+  applyNodeColors();
+
   // Rebind events to all nodes
   g.selectAll('.node')
     .on('click', handleNodeClick)
@@ -276,6 +876,26 @@ function renderNodeContent(node, d) {
       .attr('font-size', '13px')
       .text(d.data.name);
 
+  } else if (d.data.isGroup) {
+    // Grouping node (e.g. a sitemap file), not a page
+    node.append('rect')
+      .attr('class', 'node-rect node-group-rect')
+      .attr('width', NODE_WIDTH)
+      .attr('height', 56)
+      .attr('y', (NODE_HEIGHT - 56) / 2);
+
+    node.append('text')
+      .attr('class', 'node-group-name')
+      .attr('x', NODE_WIDTH / 2)
+      .attr('y', NODE_HEIGHT / 2 - 6)
+      .text(truncateText(d.data.name, 22));
+
+    node.append('text')
+      .attr('class', 'node-group-subtitle')
+      .attr('x', NODE_WIDTH / 2)
+      .attr('y', NODE_HEIGHT / 2 + 12)
+      .text(truncateText(d.data.subtitle || '', 28));
+
   } else if (d.data.screenshot) {
     node.append('rect')
       .attr('class', 'node-rect')
@@ -305,7 +925,7 @@ function renderNodeContent(node, d) {
 
   } else {
     node.append('rect')
-      .attr('class', 'node-rect node-placeholder')
+      .attr('class', 'node-rect node-placeholder' + (d.data.robotsBlocked ? ' node-blocked' : ''))
       .attr('width', NODE_WIDTH)
       .attr('height', NODE_HEIGHT);
 
@@ -324,17 +944,334 @@ function renderNodeContent(node, d) {
       .attr('text-anchor', 'middle')
       .attr('fill', '#555')
       .attr('font-size', '10px')
-      .text('(no screenshot)');
+      .text(d.data.robotsBlocked ? '(blocked by robots.txt)' : '(no screenshot)');
+  }
+
+  if (!d.data.isEllipsis && !d.data.isGroup) {
+    renderMediaBadges(node, d.data);
+    renderCoverageBadge(node, d.data);
+  }
+  renderBrokenCountBadge(node, d.data);
+  renderHostCountBadge(node, d.data);
+  renderLocaleBadge(node, d.data);
+  renderTemplateBadge(node, d.data);
+}
+
+// Broken pages in this branch, bottom-right (only on nodes with children)
+function renderBrokenCountBadge(node, data) {
+  const rollup = data.statusRollup;
+  if (!rollup || rollup.broken === 0 || !(data.children || data.hiddenChildren || []).length) return;
+
+  const label = `\u2716 ${rollup.broken}`;
+  const width = label.length * 6 + 10;
+  const badge = node.append('g')
+    .attr('class', 'broken-badge')
+    .attr('transform', `translate(${NODE_WIDTH - width - 4}, ${NODE_HEIGHT - 44})`);
+
+  badge.append('rect')
+    .attr('width', width)
+    .attr('height', 16)
+    .attr('rx', 8);
+
+  badge.append('text')
+    .attr('x', width / 2)
+    .attr('y', 11)
+    .attr('text-anchor', 'middle')
+    .text(label);
+}
+
+// URL count of a host branch (multi-host trees) above the label, bottom-left
+function renderHostCountBadge(node, data) {
+  if (data.hostUrlCount == null) return;
+
+  const label = `${data.hostUrlCount} URL${data.hostUrlCount === 1 ? '' : 's'}`;
+  const width = label.length * 6 + 10;
+  const badge = node.append('g')
+    .attr('class', 'host-badge')
+    .attr('transform', `translate(4, ${NODE_HEIGHT - 44})`);
+
+  badge.append('rect')
+    .attr('width', width)
+    .attr('height', 16)
+    .attr('rx', 8);
+
+  badge.append('text')
+    .attr('x', width / 2)
+    .attr('y', 11)
+    .attr('text-anchor', 'middle')
+    .text(label);
+}
+
+// Locales a merged page exists in (locale view), bottom-left; amber when some are missing
+function renderLocaleBadge(node, data) {
+  if (!data.locales) return;
+
+  const codes = data.locales.join(' ');
+  const total = data.locales.length + data.missingLocales.length;
+  const label = codes.length <= 22 ? codes : `${data.locales.length}/${total} locales`;
+  const width = label.length * 6 + 10;
+  const badge = node.append('g')
+    .attr('class', 'locale-badge' + (data.missingLocales.length > 0 ? ' locale-badge-partial' : ''))
+    .attr('transform', `translate(4, ${NODE_HEIGHT - 44})`);
+
+  badge.append('rect')
+    .attr('width', width)
+    .attr('height', 16)
+    .attr('rx', 8);
+
+  badge.append('text')
+    .attr('x', width / 2)
+    .attr('y', 11)
+    .attr('text-anchor', 'middle')
+    .text(label);
+}
+
+// Template cluster (template-aware selection), top-left below any coverage badge
+function renderTemplateBadge(node, data) {
+  if (!data.template) return;
+
+  const label = data.template;
+  const width = label.length * 6 + 10;
+  const badge = node.append('g')
+    .attr('class', 'template-badge')
+    .attr('transform', `translate(4, ${data.coverage ? 24 : 4})`);
+
+  badge.append('rect')
+    .attr('width', width)
+    .attr('height', 16)
+    .attr('rx', 8);
+
+  badge.append('text')
+    .attr('x', width / 2)
+    .attr('y', 11)
+    .attr('text-anchor', 'middle')
+    .text(label);
+}
+
+// Coverage analysis result in the top-left corner
+function renderCoverageBadge(node, data) {
+  if (!data.coverage) return;
+
+  const label = COVERAGE_LABELS[data.coverage].badge;
+  const width = label.length * 6 + 10;
+  const badge = node.append('g')
+    .attr('class', `coverage-badge coverage-badge-${data.coverage}`)
+    .attr('transform', 'translate(4, 4)');
+
+  badge.append('rect')
+    .attr('width', width)
+    .attr('height', 16)
+    .attr('rx', 8);
+
+  badge.append('text')
+    .attr('x', width / 2)
+    .attr('y', 11)
+    .attr('text-anchor', 'middle')
+    .text(label);
+}
+
+// Force-directed view of the links recorded while crawling. Circle size follows
+// inbound links; pages LINK_DEPTH_HARD or more clicks from the start page and pages
+// at the crawl's depth limit are highlighted.
+function renderLinkGraph() {
+  const linkGraph = currentReportData.linkGraph;
+  const screenshotMap = currentReportData.screenshotMap || {};
+  const nodes = computeLinkStats(linkGraph).map(stats => ({
+    ...stats,
+    screenshot: screenshotMap[stats.url] || null
+  }));
+  const links = linkGraph.edges.map(([source, target]) => ({ source, target }));
+  const depthLimit = crawlDepthLimit();
+  const radius = d => 6 + Math.sqrt(d.inbound) * 3;
+
+  // Lay out up front instead of animating, so the view can be fitted right away
+  const simulation = d3.forceSimulation(nodes)
+    .force('link', d3.forceLink(links).distance(70))
+    .force('charge', d3.forceManyBody().strength(-160))
+    .force('center', d3.forceCenter(0, 0))
+    .force('collide', d3.forceCollide(d => radius(d) + 4))
+    .stop();
+  simulation.tick(300);
+
+  const link = g.select('.links-group')
+    .selectAll('.graph-link')
+    .data(links)
+    .enter()
+    .append('line')
+    .attr('class', 'graph-link')
+    .attr('x1', d => d.source.x)
+    .attr('y1', d => d.source.y)
+    .attr('x2', d => d.target.x)
+    .attr('y2', d => d.target.y);
+
+  const node = g.select('.nodes-group')
+    .selectAll('.graph-node')
+    .data(nodes)
+    .enter()
+    .append('g')
+    .attr('class', 'graph-node')
+    .attr('data-color', d => linkReachBucket(d, depthLimit))
+    .attr('transform', d => `translate(${d.x}, ${d.y})`);
+
+  node.append('circle')
+    .attr('r', radius);
+
+  // Labels get unreadable on big graphs; the tooltip still has the URL
+  if (nodes.length <= 150) {
+    node.append('text')
+      .attr('class', 'graph-label')
+      .attr('y', d => radius(d) + 12)
+      .text(d => truncateText(graphLabel(d.url), 24));
   }
+
+  node
+    .on('mouseenter', (event, d) => {
+      link.classed('graph-link-active', l => l.source === d || l.target === d);
+      window._tooltip
+        .style('display', 'block')
+        .style('left', (event.pageX + 10) + 'px')
+        .style('top', (event.pageY + 10) + 'px');
+      renderGraphTooltip(window._tooltip, d);
+    })
+    .on('mousemove', handleNodeMouseMove)
+    .on('mouseleave', () => {
+      link.classed('graph-link-active', false);
+      handleNodeMouseLeave();
+    })
+    .on('click', (event, d) => {
+      if (d.screenshot) showModal(d.screenshot, d.url);
+    });
+}
+
+// Pages at least this many clicks from the start page count as hard to reach
+const LINK_DEPTH_HARD = 3;
+
+// The crawler only follows links this many clicks deep (crawl setting), so pages
+// at the limit may really be further away. Older reports don't store it.
+function crawlDepthLimit() {
+  return currentReportData.options?.crawl?.maxDepth ?? Infinity;
+}
+
+// Inbound/outbound link counts and click depth (BFS from the start page) per page.
+// Every crawled page was found by following links from the start page.
+function computeLinkStats(linkGraph) {
+  const stats = linkGraph.pages.map(url => ({ url, inbound: 0, outbound: 0, depth: Infinity }));
+  const adjacency = linkGraph.pages.map(() => []);
+
+  linkGraph.edges.forEach(([from, to]) => {
+    stats[from].outbound++;
+    stats[to].inbound++;
+    adjacency[from].push(to);
+  });
+
+  if (linkGraph.start !== undefined && linkGraph.start !== null) {
+    stats[linkGraph.start].depth = 0;
+    const queue = [linkGraph.start];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      adjacency[current].forEach(next => {
+        if (stats[next].depth === Infinity) {
+          stats[next].depth = stats[current].depth + 1;
+          queue.push(next);
+        }
+      });
+    }
+  }
+
+  return stats;
+}
+
+function linkReachBucket(stats, depthLimit) {
+  if (stats.depth === 0) return 'start';
+  if (stats.depth >= depthLimit) return 'limit';
+  return stats.depth >= LINK_DEPTH_HARD ? 'hard' : 'reachable';
+}
+
+function renderGraphTooltip(tooltip, stats) {
+  tooltip.html('');
+  tooltip.append('div').attr('class', 'tooltip-url').text(stats.url);
+
+  const depth = stats.depth === 0 ? 'Start page'
+    : stats.depth >= crawlDepthLimit() ? `Click depth: ${stats.depth} (crawl depth limit)`
+      : `Click depth: ${stats.depth}`;
+  [`Inbound links: ${stats.inbound}`, `Outbound links: ${stats.outbound}`, depth].forEach(line => {
+    tooltip.append('div').attr('class', 'tooltip-detail').text(line);
+  });
+}
+
+function graphLabel(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search + parsed.hash;
+  } catch (e) {
+    return url;
+  }
+}
+
+function renderGraphLegend() {
+  const legend = d3.select('#color-legend');
+  legend.html('');
+  legend.style('display', 'block');
+  legend.append('div').attr('class', 'legend-title').text('Link graph (size = inbound links)');
+
+  // With a depth limit of LINK_DEPTH_HARD or less no page is hard to reach short of the limit
+  const depthLimit = crawlDepthLimit();
+  const hardDepth = Math.min(LINK_DEPTH_HARD, depthLimit);
+  [
+    { key: 'start', label: 'Start page' },
+    hardDepth > 1 && { key: 'reachable', label: `< ${hardDepth} clicks` },
+    depthLimit > LINK_DEPTH_HARD && { key: 'hard', label: `${LINK_DEPTH_HARD}+ clicks (hard to reach)` },
+    depthLimit !== Infinity && { key: 'limit', label: `${depthLimit} clicks (crawl depth limit, may be deeper)` }
+  ].filter(Boolean).forEach(bucket => {
+    const item = legend.append('div').attr('class', 'legend-item');
+    item.append('span').attr('class', 'legend-swatch').attr('data-color', bucket.key);
+    item.append('span').text(bucket.label);
+  });
+}
+
+// Media counts declared in the sitemap, right-aligned along the top edge
+function renderMediaBadges(node, data) {
+  let right = NODE_WIDTH - 4;
+
+  MEDIA_TYPES.forEach(type => {
+    const count = (data[type.list] || []).length;
+    if (count === 0) return;
+
+    const label = type.list === 'news' ? type.label : `${type.label} ${count}`;
+    const width = label.length * 6 + 10;
+    right -= width;
+
+    const badge = node.append('g')
+      .attr('class', `media-badge media-badge-${type.list}`)
+      .attr('transform', `translate(${right}, 4)`);
+
+    badge.append('rect')
+      .attr('width', width)
+      .attr('height', 16)
+      .attr('rx', 8);
+
+    badge.append('text')
+      .attr('x', width / 2)
+      .attr('y', 11)
+      .attr('text-anchor', 'middle')
+      .text(label);
+
+    right -= 4;
+  });
 }
 
 // Event handlers
 function handleNodeClick(event, d) {
   if (d.data.isEllipsis) {
     handleExpandClick(d);
+  } else if (d.data.isPattern) {
+    togglePatternInstances(d);
   } else if (d.data.screenshot) {
-    showModal(d.data.screenshot, d.data.url);
-  } else if (d.data.url && !d.data.screenshot) {
+    showModal(d.data.screenshot, d.data.url, d.data);
+  } else if (d.data.url && hasDeclaredMedia(d.data)) {
+    // Pages without a screenshot still list their sitemap media; capturing is a button there
+    showModal(null, d.data.url, d.data, d);
+  } else if (d.data.url && !d.data.screenshot && !d.data.robotsBlocked) {
     // V2: Click on placeholder node to capture screenshot
     handleSingleNodeCapture(d);
   }
@@ -378,13 +1315,58 @@ function handleSingleNodeCapture(d3Node) {
 }
 
 function handleNodeMouseEnter(event, d) {
-  if (d.data.url && !d.data.isEllipsis) {
+  if ((d.data.url || d.data.title) && !d.data.isEllipsis) {
     window._tooltip
       .style('display', 'block')
       .style('left', (event.pageX + 10) + 'px')
-      .style('top', (event.pageY + 10) + 'px')
-      .text(d.data.url);
+      .style('top', (event.pageY + 10) + 'px');
+    renderTooltipContent(window._tooltip, d.data);
+  }
+}
+
+// URL plus any sitemap metadata carried on the node
+function renderTooltipContent(tooltip, data) {
+  tooltip.html('');
+  tooltip.append('div').attr('class', 'tooltip-url').text(data.url || data.title);
+
+  const details = [];
+  if (data.isPattern) {
+    const more = data.instanceCount > data.examples.length ? ', …' : '';
+    details.push(`${data.instanceCount} instance${data.instanceCount === 1 ? '' : 's'}, e.g. ${data.examples.join(', ')}${more}`);
+  }
+  if (data.locales) {
+    details.push(`Locales: ${data.locales.join(', ')}` +
+      (data.missingLocales.length > 0 ? ` (missing: ${data.missingLocales.join(', ')})` : ''));
   }
+  if (data.template) {
+    const cluster = (currentReportData.templates?.clusters || []).find(c => c.id === data.template);
+    details.push(`Template ${data.template}` + (cluster ? ` (${cluster.size} of the sampled pages)` : ''));
+  }
+  if (data.robotsBlocked) details.push('Disallowed by robots.txt');
+  if (data.http) details.push(...describeHttp(data.http, data.url));
+  const rollup = data.statusRollup;
+  if (rollup && rollup.checked > (data.http ? 1 : 0)) {
+    details.push(`Branch: ${rollup.broken} broken, ${rollup.redirected} redirected of ${rollup.checked} checked`);
+  }
+  if (data.coverage) details.push(COVERAGE_LABELS[data.coverage].description);
+  if (data.aliases && data.aliases.length > 0) {
+    const more = data.aliases.length > 3 ? ` (+${data.aliases.length - 3} more)` : '';
+    details.push(`Also as: ${data.aliases.slice(0, 3).join(', ')}${more}`);
+  }
+  if (data.sourceSitemap) details.push(`Source: ${data.sourceSitemap}`);
+  if (data.lastmod) {
+    const days = daysSince(data.lastmod);
+    details.push(`Last modified: ${data.lastmod}` + (days !== null ? ` (${formatAge(days)})` : ''));
+  }
+  if (data.changefreq) details.push(`Change frequency: ${data.changefreq}`);
+  if (data.priority !== undefined) details.push(`Priority: ${data.priority}`);
+  if (data.alternates && data.alternates.length > 0) {
+    details.push(`Alternates: ${data.alternates.map(a => a.hreflang).join(', ')}`);
+  }
+
+  details.forEach(line => {
+    tooltip.append('div').attr('class', 'tooltip-detail').text(line);
+  });
 }
 
 function handleNodeMouseMove(event) {
@@ -413,8 +1395,8 @@ async function handleExpandClick(ellipsisD3Node) {
   const nodesToExpand = hiddenChildren.slice(0, batchSize);
   const remainingNodes = hiddenChildren.slice(batchSize);
 
-  // Collect URLs to capture (max 10, including children up to depth 2)
-  const urlsToCapture = collectUrlsForCapture(nodesToExpand, 10);
+  // Collect candidate URLs (including children up to depth 2)
+  const urlsToCapture = collectUrlsForCapture(nodesToExpand, EXPAND_CANDIDATES);
 
   // Filter out already captured URLs
   const capturedSet = new Set(currentReportData.capturedUrlSet || []);
@@ -440,6 +1422,7 @@ async function handleExpandClick(ellipsisD3Node) {
   chrome.runtime.sendMessage({
     type: 'captureMore',
     urls: newUrls,
+    limit: EXPAND_CAPTURE_LIMIT,
     parentPath: ellipsisData.parentPath,
     options: currentReportData.options || { loadTimeout: 5000, captureDelay: 1000 }
   });
@@ -488,6 +1471,7 @@ function performExpand(ellipsisD3Node, newNodes, remainingNodes, screenshotMap)
 
   // Attach screenshots to new nodes
   attachScreenshotsToNodes(newNodes, screenshotMap);
+  attachHttpToNodes(newNodes, currentReportData.httpMap || {});
 
   // Add new nodes (collapse their children)
   newNodes.forEach(node => {
@@ -531,6 +1515,30 @@ function findNodeByPath(node, targetPath) {
   return null;
 }
 
+// Tooltip lines for a recorded main-document response
+function describeHttp(http, url) {
+  if (http.error) return [`Failed to load: ${http.error}`];
+
+  const lines = [];
+  const hops = http.redirects.map(hop => `${hop.status || '3xx'} ${hop.url}`);
+  lines.push(hops.length > 0 ? `HTTP ${hops.join(' \u2192 ')} \u2192 ${http.status}` : `HTTP ${http.status}`);
+  if (http.finalUrl && !sameUrl(http.finalUrl, url)) lines.push(`Final URL: ${http.finalUrl}`);
+  if (http.contentType) lines.push(`Content-Type: ${http.contentType}`);
+  return lines;
+}
+
+// Attach recorded HTTP responses to nodes recursively
+function attachHttpToNodes(nodes, httpMap) {
+  nodes.forEach(node => {
+    if (node.url && httpMap[node.url]) {
+      node.http = httpMap[node.url];
+    }
+    if (node.children) {
+      attachHttpToNodes(node.children, httpMap);
+    }
+  });
+}
+
 // Attach screenshots to nodes recursively
 function attachScreenshotsToNodes(nodes, screenshotMap) {
   nodes.forEach(node => {
@@ -577,16 +1585,24 @@ function handleExpandComplete(screenshots, parentPath) {
     screenshotMap[url] = screenshot;
   });
 
-  // Update currentReportData with new screenshots
+  // Update currentReportData with new screenshots (failed pages only carry their HTTP status)
   if (!currentReportData.capturedUrlSet) currentReportData.capturedUrlSet = [];
   if (!currentReportData.screenshotMap) currentReportData.screenshotMap = {};
-  screenshots.forEach(({ url, screenshot }) => {
-    if (!currentReportData.capturedUrlSet.includes(url)) {
+  if (!currentReportData.fullScreenshotMap) currentReportData.fullScreenshotMap = {};
+  if (!currentReportData.httpMap) currentReportData.httpMap = {};
+  screenshots.forEach(({ url, screenshot, fullScreenshot, http }) => {
+    if (screenshot && !currentReportData.capturedUrlSet.includes(url)) {
       currentReportData.capturedUrlSet.push(url);
     }
     if (screenshot) {
       currentReportData.screenshotMap[url] = screenshot;
     }
+    if (fullScreenshot) {
+      currentReportData.fullScreenshotMap[url] = fullScreenshot;
+    }
+    if (http) {
+      currentReportData.httpMap[url] = http;
+    }
   });
 
   // Handle based on pending type
@@ -624,6 +1640,9 @@ function handleSingleNodeComplete(screenshotMap) {
     if (screenshot) {
       nodeInTree.screenshot = screenshot;
     }
+    if (currentReportData.httpMap?.[nodeInTree.url]) {
+      nodeInTree.http = currentReportData.httpMap[nodeInTree.url];
+    }
   }
 
   // Update tree visualization
@@ -647,17 +1666,430 @@ function updateMetaInfo() {
   }
 }
 
+// Show how URLs were discovered (robots.txt, common sitemap path or crawler)
+function updateSourceInfo(discovery) {
+  const sourceEl = document.getElementById('meta-source');
+  if (!discovery) return;
+
+  const sitemaps = discovery.sitemaps || [];
+  const topLevel = sitemaps.filter(s => !s.depth);
+  const formats = [...new Set(sitemaps.map(s => formatLabel(s.format)).filter(Boolean))];
+  const formatSuffix = formats.length > 0 ? `, ${formats.join(' / ')}` : '';
+
+  if (discovery.method === 'crawler') {
+    sourceEl.textContent = 'Source: crawler (no sitemap found)';
+  } else if (discovery.method === 'robots.txt') {
+    sourceEl.textContent = `Source: robots.txt (${topLevel.length} sitemap${topLevel.length === 1 ? '' : 's'}${formatSuffix})`;
+  } else {
+    const path = sitemaps[0] ? new URL(sitemaps[0].url).pathname : 'sitemap';
+    sourceEl.textContent = `Source: ${path}` + (formats.length > 0 ? ` (${formats.join(' / ')})` : '');
+  }
+
+  // Full list of sitemap files on hover
+  sourceEl.title = sitemaps
+    .map(s => {
+      const unit = s.format === 'sitemapindex' ? 'sitemaps' : 'URLs';
+      return `${s.url} (${s.format ? formatLabel(s.format) + ', ' : ''}${s.urlCount} ${unit})`;
+    })
+    .join('\n');
+
+  // Nested sitemaps that could not be fetched or decoded
+  const failures = discovery.failures || [];
+  if (failures.length > 0) {
+    const failuresEl = document.getElementById('meta-failures');
+    failuresEl.textContent = `\u26A0 ${failures.length} sitemap${failures.length === 1 ? '' : 's'} failed`;
+    failuresEl.title = failures.map(f => `${f.url}: ${f.error}`).join('\n');
+  }
+}
+
+// Pages robots.txt kept us from visiting, or a note that it was ignored
+function updateRobotsInfo(robots) {
+  if (!robots) return;
+
+  const robotsEl = document.getElementById('meta-robots');
+  if (robots.ignored) {
+    robotsEl.textContent = 'robots.txt ignored';
+  } else if (robots.blockedUrls.length > 0) {
+    const count = robots.blockedUrls.length;
+    robotsEl.textContent = `${count} URL${count === 1 ? '' : 's'} blocked by robots.txt`;
+    robotsEl.title = robots.blockedUrls.slice(0, 50).join('\n') +
+      (count > 50 ? `\n... and ${count - 50} more` : '');
+  }
+}
+
+// Totals of the health check (or of the status recorded while capturing)
+function updateHealthInfo(reportData) {
+  const results = Object.values(reportData.httpMap || {});
+  if (results.length === 0) return;
+
+  const healthEl = document.getElementById('meta-health');
+  const buckets = results.map(http => statusBucket({ http, url: http.finalUrl }));
+  const broken = buckets.filter(bucket => bucket !== 'ok' && bucket !== 'redirect').length;
+  const redirected = results.filter(http => http.redirects.length > 0).length;
+
+  healthEl.textContent = `${reportData.options?.mode === 'health' ? 'Health' : 'Status'}: ` +
+    `${broken} broken, ${redirected} redirected of ${results.length}`;
+  healthEl.classList.toggle('meta-warning', broken > 0);
+}
+
+// Template-aware selection: templates found in the sampled pages
+function updateTemplateInfo(templates) {
+  if (!templates) return;
+
+  const templatesEl = document.getElementById('meta-templates');
+  if (templates.sampled === 0) {
+    templatesEl.textContent = 'Templates: none detected, pages selected by path';
+    templatesEl.title = 'No sampled page returned HTML that could be compared';
+    return;
+  }
+  templatesEl.textContent = `Templates: ${templates.clusters.length} in ${templates.sampled} sampled pages`;
+  templatesEl.title = templates.clusters
+    .map(cluster => `${cluster.id} (${cluster.size}): ${cluster.examples[0]}`)
+    .join('\n');
+}
+
+// Full-page mode was asked for, but the capture fell back to the visible window
+function updateFullPageInfo(options) {
+  if (!options?.fullPageUnavailable) return;
+
+  const fullPageEl = document.getElementById('meta-full-page');
+  fullPageEl.textContent = 'Full-page: unavailable';
+  fullPageEl.title = 'The debugger could not be attached, so pages were captured from a window (viewport only)';
+}
+
+// Active include/exclude rules and the URLs they left out
+function updateFilterInfo(filters) {
+  if (!filters || (filters.include.length === 0 && filters.exclude.length === 0)) return;
+
+  const filtersEl = document.getElementById('meta-filters');
+  filtersEl.textContent = `Filtered: ${filters.excludedCount} URL${filters.excludedCount === 1 ? '' : 's'} excluded`;
+
+  const lines = [
+    ...filters.include.map(rule => `Include: ${rule}`),
+    ...filters.exclude.map(rule => `Exclude: ${rule}`)
+  ];
+  if (filters.excludedUrls.length > 0) {
+    lines.push('', 'Excluded:', ...filters.excludedUrls);
+    if (filters.excludedCount > filters.excludedUrls.length) {
+      lines.push(`... and ${filters.excludedCount - filters.excludedUrls.length} more`);
+    }
+  }
+  filtersEl.title = lines.join('\n');
+}
+
+// Side panel listing sitemap validation findings (absent for crawler runs)
+function setupIssuesPanel(issues) {
+  if (!issues) return;
+
+  const button = document.getElementById('toggle-issues');
+  const panel = document.getElementById('issues-panel');
+  const hasErrors = issues.some(issue => issue.severity === 'error');
+
+  button.style.display = 'inline-block';
+  button.textContent = `Sitemap issues (${issues.length})`;
+  button.classList.toggle('btn-warning', hasErrors);
+
+  setupSidePanelToggle(button, panel);
+  renderIssuesList(issues);
+}
+
+// Side panels share the right edge, so opening one closes the others
+function setupSidePanelToggle(button, panel) {
+  button.addEventListener('click', () => {
+    const open = panel.style.display === 'none';
+    document.querySelectorAll('.side-panel').forEach(other => {
+      other.style.display = 'none';
+    });
+    panel.style.display = open ? 'flex' : 'none';
+  });
+  panel.querySelector('.side-panel-close').addEventListener('click', () => {
+    panel.style.display = 'none';
+  });
+}
+
+function setupCoveragePanel(coverage) {
+  if (!coverage) return;
+
+  const button = document.getElementById('toggle-coverage');
+  const panel = document.getElementById('coverage-panel');
+
+  // Reports from before crawl budgets were tracked only have orphans
+  const notLinked = coverage.crawlComplete === false
+    ? `${coverage.unreached.length} not reached`
+    : `${coverage.orphans.length} orphan`;
+
+  button.style.display = 'inline-block';
+  button.textContent = `Coverage (${notLinked}, ${coverage.notInSitemap.length} missing)`;
+  button.classList.toggle('btn-warning', coverage.orphans.length + coverage.notInSitemap.length > 0);
+
+  setupSidePanelToggle(button, panel);
+  renderCoverageList(coverage);
+}
+
+function setupLocalePanel(tree) {
+  const analysis = analyzeLocales(tree);
+  if (analysis.locales.length < 2) return;
+
+  const button = document.getElementById('toggle-locales');
+  const panel = document.getElementById('locale-panel');
+  const missing = missingPagesByLocale(analysis);
+  const total = [...missing.values()].reduce((sum, pages) => sum + pages.length, 0);
+
+  button.style.display = 'inline-block';
+  button.textContent = `Locales (${total} missing)`;
+  button.classList.toggle('btn-warning', total > 0);
+
+  setupSidePanelToggle(button, panel);
+  renderLocaleList(analysis, missing);
+}
+
+// locale → pages that exist in another locale but not in this one, as
+// { path (below the locale folder), url (of the primary-locale or first version) }
+function missingPagesByLocale(analysis) {
+  const missing = new Map(analysis.locales.map(locale => [locale, []]));
+  analysis.groups.forEach(group => {
+    if (group.versions.size === 0) return;
+    const existing = group.versions.get(analysis.primary) || [...group.versions.values()][0];
+    analysis.locales.forEach(locale => {
+      if (!group.versions.has(locale)) {
+        missing.get(locale).push({ path: '/' + group.rel.join('/'), url: existing.url });
+      }
+    });
+  });
+  return missing;
+}
+
+function renderLocaleList(analysis, missing) {
+  const list = d3.select('#locale-list');
+  list.html('');
+
+  const translated = analysis.groups.filter(group => group.versions.size > 0).length;
+  list.append('p')
+    .attr('class', 'coverage-summary')
+    .text(`${analysis.locales.length} locales (${analysis.locales.join(', ')}) across ${translated.toLocaleString()} pages. ` +
+      'Pages are matched by their path below the locale folder and by hreflang alternates.');
+
+  missing.forEach((pages, locale) => {
+    const item = list.append('div').attr('class', 'issue' + (pages.length === 0 ? ' locale-complete' : ''));
+    item.append('div').attr('class', 'issue-heading')
+      .append('span').attr('class', 'issue-message')
+      .text(`${locale}: ${pages.length.toLocaleString()} missing` + (locale === analysis.primary ? ' (primary)' : ''));
+
+    if (pages.length > 0) {
+      const details = item.append('details');
+      details.append('summary').text('Pages');
+      const ul = details.append('ul');
+      pages.forEach(page => {
+        ul.append('li').append('a')
+          .attr('href', page.url)
+          .attr('target', '_blank')
+          .attr('title', page.url)
+          .text(page.path);
+      });
+    }
+  });
+}
+
+function renderCoverageList(coverage) {
+  const list = d3.select('#coverage-list');
+  list.html('');
+
+  const limited = coverage.crawlComplete === false;
+  list.append('p')
+    .attr('class', 'coverage-summary')
+    .text(`Compared ${coverage.sitemapUrls.toLocaleString()} sitemap URLs with ${coverage.linkedPages.toLocaleString()} ` +
+      `pages linked from ${coverage.crawledPages.toLocaleString()} crawled pages. ` +
+      (limited
+        ? `The crawl stopped at its budget of ${coverage.crawlBudget.toLocaleString()} pages, so sitemap URLs it did ` +
+          'not reach are not reported as orphans; raise the crawl budget to find them.'
+        : 'The crawl followed every link it found within its depth limit.'));
+
+  [
+    limited ? { key: 'unreached', urls: coverage.unreached } : { key: 'orphan', urls: coverage.orphans },
+    { key: 'not-in-sitemap', urls: coverage.notInSitemap }
+  ].forEach(({ key, urls }) => {
+    const item = list.append('div').attr('class', `issue coverage-${key}`);
+    item.append('div').attr('class', 'issue-heading')
+      .append('span').attr('class', 'issue-message')
+      .text(`${COVERAGE_LABELS[key].title} (${urls.length.toLocaleString()})`);
+    item.append('div').attr('class', 'coverage-description').text(COVERAGE_LABELS[key].description);
+
+    if (urls.length > 0) {
+      const details = item.append('details');
+      details.append('summary').text('URLs');
+      const ul = details.append('ul');
+      urls.forEach(url => {
+        ul.append('li').append('a')
+          .attr('href', url)
+          .attr('target', '_blank')
+          .text(url);
+      });
+    }
+  });
+}
+
+function renderIssuesList(issues) {
+  const list = d3.select('#issues-list');
+  list.html('');
+
+  if (issues.length === 0) {
+    list.append('p').attr('class', 'side-panel-empty').text('No issues found.');
+    return;
+  }
+
+  issues.forEach(issue => {
+    const item = list.append('div').attr('class', `issue issue-${issue.severity}`);
+    const heading = item.append('div').attr('class', 'issue-heading');
+    heading.append('span').attr('class', 'issue-severity').text(issue.severity);
+    heading.append('span').attr('class', 'issue-message')
+      .text(issue.count > 1 ? `${issue.message} (${issue.count.toLocaleString()})` : issue.message);
+
+    if (issue.sitemap) {
+      item.append('a')
+        .attr('class', 'issue-sitemap')
+        .attr('href', issue.sitemap)
+        .attr('target', '_blank')
+        .text(issue.sitemap);
+    }
+
+    if (issue.examples && issue.examples.length > 0) {
+      const details = item.append('details');
+      const more = issue.count > issue.examples.length ? ` of ${issue.count.toLocaleString()}` : '';
+      details.append('summary').text(`Examples (${issue.examples.length}${more})`);
+      const ul = details.append('ul');
+      issue.examples.forEach(example => ul.append('li').text(example));
+    }
+  });
+}
+
+// Node coloring modes
+function setupColorMode() {
+  const select = document.getElementById('color-mode');
+  select.addEventListener('change', () => {
+    colorMode = select.value;
+    applyNodeColors();
+    renderColorLegend();
+  });
+}
+
+// Tag each node with a color bucket; CSS maps buckets to stroke colors
+function applyNodeColors() {
+  g.selectAll('.node').attr('data-color', d => {
+    if (d.data.isEllipsis || d.data.isGroup) return null;
+    if (colorMode === 'lastmod') return lastmodAgeBucket(d.data);
+    if (colorMode === 'status') return statusBucket(d.data);
+    return null;
+  });
+}
+
+// Redirects (HTTP or client-side, i.e. a different final URL) win over the final status
+function statusBucket(data) {
+  const http = data.http;
+  if (!http) return 'unknown';
+  if (http.error || !http.status) return 'failed';
+  if (http.redirects.length > 0 || (http.status >= 300 && http.status < 400) ||
+      (http.finalUrl && !sameUrl(http.finalUrl, data.url))) {
+    return 'redirect';
+  }
+  if (http.status >= 500) return 'server-error';
+  if (http.status >= 400) return 'client-error';
+  return 'ok';
+}
+
+function isProblemStatus(data) {
+  const bucket = statusBucket(data);
+  return STATUS_BUCKETS.some(b => b.key === bucket && b.problem);
+}
+
+// Ignore the trailing slash and fragment when comparing requested and final URLs
+function sameUrl(a, b) {
+  const normalize = url => (url || '').replace(/#.*$/, '').replace(/\/$/, '');
+  return normalize(a) === normalize(b);
+}
+
+// Branch nodes without their own lastmod use their most recently modified descendant
+function lastmodAgeBucket(data) {
+  const days = daysSince(data.lastmod || newestLastmod(data));
+  if (days === null) return 'unknown';
+  return LASTMOD_AGE_BUCKETS.find(bucket => days < bucket.maxDays).key;
+}
+
+function newestLastmod(node) {
+  let newest = null;
+  const children = [...(node.children || []), ...(node.hiddenChildren || [])];
+  children.forEach(child => {
+    const candidate = child.lastmod || newestLastmod(child);
+    if (candidate && (!newest || Date.parse(candidate) > Date.parse(newest))) {
+      newest = candidate;
+    }
+  });
+  return newest;
+}
+
+function renderColorLegend() {
+  const legend = d3.select('#color-legend');
+  legend.html('');
+
+  let title;
+  let buckets;
+  if (colorMode === 'lastmod') {
+    title = 'Last modified';
+    buckets = [...LASTMOD_AGE_BUCKETS, { key: 'unknown', label: 'No lastmod' }];
+  } else if (colorMode === 'status') {
+    title = 'HTTP status';
+    buckets = STATUS_BUCKETS;
+  } else {
+    legend.style('display', 'none');
+    return;
+  }
+
+  legend.style('display', 'block');
+  legend.append('div').attr('class', 'legend-title').text(title);
+  buckets.forEach(bucket => {
+    const item = legend.append('div').attr('class', 'legend-item');
+    item.append('span').attr('class', 'legend-swatch').attr('data-color', bucket.key);
+    item.append('span').text(bucket.label);
+  });
+}
+
+function daysSince(dateString) {
+  if (!dateString) return null;
+  const time = Date.parse(dateString);
+  if (isNaN(time)) return null;
+  return Math.max(0, Math.floor((Date.now() - time) / 86400000));
+}
+
+function formatAge(days) {
+  if (days === 0) return 'today';
+  if (days < 60) return `${days} day${days === 1 ? '' : 's'} ago`;
+  if (days < 730) return `${Math.round(days / 30)} months ago`;
+  return `${Math.round(days / 365)} years ago`;
+}
+
+function formatLabel(format) {
+  return format ? SITEMAP_FORMAT_LABELS[format] || format : null;
+}
+
 function truncateText(text, maxLength) {
   if (text.length <= maxLength) return text;
   return text.substring(0, maxLength - 2) + '...';
 }
 
+// Node whose details the modal shows without a screenshot, for its capture button
+let modalCaptureNode = null;
+
 function setupModal() {
   const modal = document.getElementById('image-modal');
   const closeBtn = modal.querySelector('.modal-close');
 
   closeBtn.addEventListener('click', hideModal);
 
+  document.getElementById('modal-capture').addEventListener('click', () => {
+    const d3Node = modalCaptureNode;
+    hideModal();
+    if (d3Node) handleSingleNodeCapture(d3Node);
+  });
+
   modal.addEventListener('click', (e) => {
     if (e.target === modal) {
       hideModal();
@@ -671,20 +2103,88 @@ function setupModal() {
   });
 }
 
-function showModal(imageSrc, url) {
+// Full-page captures show the whole page in a scrollable image instead of the thumbnail.
+// Without an image the modal only lists the page's media, with a capture button for captureNode.
+function showModal(imageSrc, url, data = {}, captureNode = null) {
   const modal = document.getElementById('image-modal');
   const modalImage = document.getElementById('modal-image');
   const modalLink = document.getElementById('modal-link');
-
-  modalImage.src = imageSrc;
+  const fullScreenshot = url && currentReportData?.fullScreenshotMap?.[url];
+  const image = fullScreenshot || imageSrc;
+
+  modal.classList.toggle('modal-full-page', !!fullScreenshot);
+  modal.classList.toggle('modal-no-image', !image);
+  modalImage.parentElement.scrollTop = 0;
+  if (image) modalImage.src = image;
+  else modalImage.removeAttribute('src');
   modalLink.href = url || '#';
   modalLink.style.display = url ? 'inline' : 'none';
+  renderModalMedia(data);
+
+  modalCaptureNode = !image && captureNode && !data.robotsBlocked ? captureNode : null;
+  document.getElementById('modal-capture').style.display = modalCaptureNode ? 'inline-block' : 'none';
 
   modal.style.display = 'flex';
 }
 
+// List the image, video and news entries the sitemap declares for the page
+function hasDeclaredMedia(data) {
+  return MEDIA_TYPES.some(type => (data[type.list] || []).length > 0);
+}
+
+function renderModalMedia(data) {
+  const container = d3.select('#modal-media');
+  container.html('');
+
+  const hasMedia = hasDeclaredMedia(data);
+  container.style('display', hasMedia ? 'block' : 'none');
+  if (!hasMedia) return;
+
+  MEDIA_TYPES.forEach(type => {
+    const items = data[type.list] || [];
+    if (items.length === 0) return;
+
+    const section = container.append('div').attr('class', 'media-section');
+    section.append('h3').text(`${type.title} (${items.length})`);
+    const list = section.append('ul');
+
+    items.forEach(item => {
+      const li = list.append('li');
+      const thumbnail = type.list === 'images' ? item.loc : item.thumbnailLoc;
+      if (thumbnail) {
+        li.append('img').attr('class', 'media-thumb').attr('src', thumbnail).attr('alt', '');
+      }
+
+      const text = li.append('div').attr('class', 'media-text');
+      const title = item.title || item.caption || item.name;
+      if (title) text.append('div').attr('class', 'media-title').text(title);
+
+      const link = item.loc || item.contentLoc || item.playerLoc;
+      if (link) {
+        text.append('a').attr('href', link).attr('target', '_blank').text(link);
+      }
+
+      const details = [];
+      if (item.caption && item.caption !== title) details.push(item.caption);
+      if (item.duration) details.push(`${item.duration}s`);
+      if (item.tag) details.push([].concat(item.tag).join(', '));
+      if (type.list === 'news') {
+        // Reports from before nested groups were kept have the publication fields flattened
+        const publication = item.publication || item;
+        if (publication.name && publication.name !== title) details.push(publication.name);
+        if (publication.language) details.push(publication.language);
+      }
+      if (item.publicationDate) details.push(item.publicationDate);
+      if (details.length > 0) {
+        text.append('div').attr('class', 'media-detail').text(details.join(' · '));
+      }
+    });
+  });
+}
+
 function hideModal() {
   document.getElementById('image-modal').style.display = 'none';
+  modalCaptureNode = null;
 }
 
 function setupExport(reportData) {
@@ -697,8 +2197,10 @@ function setupExport(reportData) {
   });
 }
 
+// Full-page screenshots stay out of the export (up to 1280×16384 each); node thumbnails remain
 function exportJSON(data) {
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const { fullScreenshotMap, ...exported } = data;
+  const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;